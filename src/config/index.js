@@ -13,27 +13,140 @@ export const config = {
   rootDir: path.resolve(__dirname, '../..'),
   previewsDir: process.env.PREVIEWS_DIR || path.resolve(__dirname, '../../previews'),
   logsDir: process.env.LOGS_DIR || path.resolve(__dirname, '../../logs'),
+  previewRouting: process.env.PREVIEW_ROUTING || 'path', // "path" (/preview/:id/) ou "host" (<id>.PREVIEW_HOST_SUFFIX)
+  previewHostSuffix: process.env.PREVIEW_HOST_SUFFIX || null, // ex.: previews.example.com (requer DNS curinga)
+  metadataFile: process.env.METADATA_FILE || path.resolve(__dirname, '../../data/previews.jsonl'),
+  // Histórico de entregas de webhooks, por padrão ao lado dos metadados dos previews
+  webhookDeliveriesFile: process.env.WEBHOOK_DELIVERIES_FILE ||
+    path.join(path.dirname(process.env.METADATA_FILE || path.resolve(__dirname, '../../data/previews.jsonl')), 'webhook-deliveries.jsonl'),
+  // Aliases (/p/<nome>/) e seus históricos, também ao lado dos metadados
+  aliasesFile: process.env.ALIASES_FILE ||
+    path.join(path.dirname(process.env.METADATA_FILE || path.resolve(__dirname, '../../data/previews.jsonl')), 'aliases.jsonl'),
+  buildLogsDir: process.env.BUILD_LOGS_DIR || path.join(process.env.LOGS_DIR || path.resolve(__dirname, '../../logs'), 'builds'),
   
   // Limites
   maxFileSize: process.env.MAX_FILE_SIZE || '50mb',
   maxFiles: parseInt(process.env.MAX_FILES) || 100,
   maxProjectSize: parseInt(process.env.MAX_PROJECT_SIZE) || 100 * 1024 * 1024, // 100MB
+  maxBinaryFileSize: parseInt(process.env.MAX_BINARY_FILE_SIZE) || 5 * 1024 * 1024, // 5MB decodificado por arquivo base64
+  maxArchiveSize: parseInt(process.env.MAX_ARCHIVE_SIZE) || 50 * 1024 * 1024, // 50MB compactado
+  maxArchiveFiles: parseInt(process.env.MAX_ARCHIVE_FILES) || 5000,
+  maxArchiveRatio: parseInt(process.env.MAX_ARCHIVE_RATIO) || 100, // descompactado/compactado (proteção contra zip bombs)
   
- // Rate limiting
-rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000, // 1 minuto
-rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 60, // 60 requisições por minuto
+  // Rate limiting (padrão da política de gerenciamento)
+  rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000, // 1 minuto
+  rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 60, // 60 requisições por minuto
+  // Políticas por grupo de rotas, por chave de API ou IP; max 0 = sem limite
+  rateLimits: {
+    build: {
+      windowMs: parseInt(process.env.RATE_LIMIT_BUILD_WINDOW_MS) || 60 * 1000,
+      max: parseInt(process.env.RATE_LIMIT_BUILD_MAX) || 30
+    },
+    management: {
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+      max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 60
+    },
+    preview: {
+      windowMs: parseInt(process.env.RATE_LIMIT_PREVIEW_WINDOW_MS) || 60 * 1000,
+      max: parseInt(process.env.RATE_LIMIT_PREVIEW_MAX) || 0 // assets dos previews não são limitados por padrão
+    }
+  },
+  rateLimitStoreModule: process.env.RATE_LIMIT_STORE_MODULE || null, // módulo com a fábrica de stores compartilhados
   
   // Limpeza automática
   cleanupIntervalMs: parseInt(process.env.CLEANUP_INTERVAL_MS) || 60 * 60 * 1000, // 1 hora
   previewMaxAgeMs: parseInt(process.env.PREVIEW_MAX_AGE_MS) || 24 * 60 * 60 * 1000, // 24 horas
+  previewMaxLifetimeMs: parseInt(process.env.PREVIEW_MAX_LIFETIME_MS) || 30 * 24 * 60 * 60 * 1000, // 30 dias, limite para prorrogações
+  aliasHistoryLimit: parseInt(process.env.ALIAS_HISTORY_LIMIT) || 20, // destinos guardados no histórico de cada alias
+  aliasRetainedVersions: parseInt(process.env.ALIAS_RETAINED_VERSIONS) || 3, // entradas mais recentes do histórico que a limpeza não remove
   
   // Build
   buildTimeoutMs: parseInt(process.env.BUILD_TIMEOUT_MS) || 5 * 60 * 1000, // 5 minutos
+  installTimeoutMs: parseInt(process.env.INSTALL_TIMEOUT_MS) || parseInt(process.env.BUILD_TIMEOUT_MS) || 5 * 60 * 1000, // fase de instalação
+  buildPhaseTimeoutMs: parseInt(process.env.BUILD_PHASE_TIMEOUT_MS) || parseInt(process.env.BUILD_TIMEOUT_MS) || 5 * 60 * 1000, // fase de build
+  buildKillGraceMs: parseInt(process.env.BUILD_KILL_GRACE_MS) || 5000, // SIGTERM -> SIGKILL
   packageManager: process.env.PACKAGE_MANAGER || 'pnpm',
+  buildConcurrency: parseInt(process.env.BUILD_CONCURRENCY) || 2, // builds simultâneos
+  buildQueueMax: parseInt(process.env.BUILD_QUEUE_MAX) || 20, // jobs aguardando na fila
+  buildJobTtlMs: parseInt(process.env.BUILD_JOB_TTL_MS) || 60 * 60 * 1000, // 1 hora de histórico do job
+  // Pré-compressão (.br/.gz) dos assets de texto depois do build, em um worker
+  precompress: {
+    enabled: process.env.PRECOMPRESS !== 'false',
+    minBytes: parseInt(process.env.PRECOMPRESS_MIN_BYTES) || 1024, // arquivos menores não compensam
+    brotliQuality: parseInt(process.env.PRECOMPRESS_BROTLI_QUALITY) || 11
+  },
+  // Cache de node_modules entre builds, pela hash de package.json + lockfile + versão do Node
+  dependencyCache: {
+    enabled: process.env.DEPENDENCY_CACHE !== 'false',
+    dir: process.env.DEPENDENCY_CACHE_DIR || path.resolve(__dirname, '../../cache/dependencies'),
+    maxBytes: parseInt(process.env.DEPENDENCY_CACHE_MAX_BYTES) || 5 * 1024 * 1024 * 1024, // 5GB, removendo as entradas menos usadas
+    mode: process.env.DEPENDENCY_CACHE_MODE || null // "hardlink" ou "copy"; sem valor, hardlink só quando o sandbox troca de usuário
+  },
+  // Sandbox dos comandos de instalação e build: ambiente mínimo, usuário sem privilégios e limites de recursos
+  sandbox: {
+    mode: process.env.SANDBOX_MODE || 'auto', // "auto" (bubblewrap quando disponível), "bubblewrap" (obrigatório) ou "basic"
+    uid: parseInt(process.env.SANDBOX_UID) || 65534, // usuário dos comandos quando o servidor roda como root
+    gid: parseInt(process.env.SANDBOX_GID) || 65534,
+    homeDir: process.env.SANDBOX_HOME_DIR || path.resolve(__dirname, '../../cache/sandbox-home'), // HOMEs dos comandos (um novo por comando)
+    memoryBytes: parseInt(process.env.SANDBOX_MEMORY_BYTES) || 2 * 1024 * 1024 * 1024, // 2GB de memória de dados por processo
+    cpuSeconds: parseInt(process.env.SANDBOX_CPU_SECONDS) || 600, // tempo de CPU por processo
+    maxProcesses: parseInt(process.env.SANDBOX_MAX_PROCESSES) || 256, // processos do usuário do sandbox
+    // Variáveis do servidor repassadas aos comandos (ex.: HTTPS_PROXY,npm_config_registry); as demais não são
+    envPassthrough: (process.env.SANDBOX_ENV_PASSTHROUGH || '').split(',').map(name => name.trim()).filter(Boolean)
+  },
+  buildErrorLogBytes: parseInt(process.env.BUILD_ERROR_LOG_BYTES) || 8 * 1024, // final do log incluído na resposta de falha
+  buildLogBufferBytes: parseInt(process.env.BUILD_LOG_BUFFER_BYTES) || 1024 * 1024, // 1MB de log em memória por build
+  
+  // Cotas por tenant (chave de API ou IP); 0 = sem limite. Cada chave pode sobrescrever em "quotas"
+  quotas: {
+    buildsPerHour: parseInt(process.env.QUOTA_BUILDS_PER_HOUR) || 0,
+    buildsPerDay: parseInt(process.env.QUOTA_BUILDS_PER_DAY) || 0,
+    concurrentBuilds: parseInt(process.env.QUOTA_CONCURRENT_BUILDS) || 0,
+    livePreviews: parseInt(process.env.QUOTA_LIVE_PREVIEWS) || 0,
+    storageBytes: parseInt(process.env.QUOTA_STORAGE_BYTES) || 0
+  },
   
   // Segurança
   corsOrigin: process.env.CORS_ORIGIN || '*',
   trustProxy: process.env.TRUST_PROXY === 'true',
+  shareLinkSecret: process.env.SHARE_LINK_SECRET || null, // chave HMAC dos links de compartilhamento
+  shareLinkTtlMs: parseInt(process.env.SHARE_LINK_TTL_MS) || 24 * 60 * 60 * 1000, // validade padrão de um link
+  shareLinkMaxTtlMs: parseInt(process.env.SHARE_LINK_MAX_TTL_MS) || 30 * 24 * 60 * 60 * 1000,
+  previewSessionTtlMs: parseInt(process.env.PREVIEW_SESSION_TTL_MS) || 12 * 60 * 60 * 1000, // cookie depois da senha
+  previewPasswordMaxAttempts: parseInt(process.env.PREVIEW_PASSWORD_MAX_ATTEMPTS) || 5, // senhas erradas por preview e IP
+  previewPasswordLockoutMs: parseInt(process.env.PREVIEW_PASSWORD_LOCKOUT_MS) || 15 * 60 * 1000, // bloqueio depois delas
+  // CSP padrão dos previews servidos (a API mantém a política estrita do helmet)
+  previewCsp: process.env.PREVIEW_CSP || [
+    "default-src 'self'",
+    "script-src 'self' 'unsafe-inline' 'unsafe-eval' https:",
+    "style-src 'self' 'unsafe-inline' https:",
+    "img-src 'self' data: blob: https:",
+    "font-src 'self' data: https:",
+    "connect-src 'self' https: wss:",
+    "media-src 'self' data: blob: https:",
+    "frame-src 'self' https:",
+    "worker-src 'self' blob:",
+    "object-src 'none'",
+    "base-uri 'self'"
+  ].join('; '),
+  // Origens que podem embutir previews em iframe (frame-ancestors), separadas por vírgula
+  previewFrameAncestors: (process.env.PREVIEW_FRAME_ANCESTORS || "'self'").split(',').map(origin => origin.trim()).filter(Boolean),
+  apiKeysFile: process.env.API_KEYS_FILE || null, // JSON com as chaves de API (hash SHA-256 e escopos)
+  apiKeys: process.env.API_KEYS || null, // mesmo formato, direto na variável de ambiente
+  
+  // Webhooks (build.succeeded, build.failed, preview.expired)
+  webhookSecret: process.env.WEBHOOK_SECRET || null, // chave HMAC das assinaturas (X-Webhook-Signature)
+  // Endereços IP ou redes CIDR internas (loopback, privadas, link-local) que os webhooks podem alcançar
+  webhookAllowedAddresses: (process.env.WEBHOOK_ALLOWED_ADDRESSES || '').split(',').map(entry => entry.trim()).filter(Boolean),
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000, // por tentativa
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  webhookRetryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000, // dobra a cada tentativa
+  webhookRetryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000,
+  webhookDeliveryRetentionMs: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000, // 7 dias de histórico
+  
+  // Métricas (GET /metrics): na porta principal exige admin:read; com METRICS_PORT, só na porta separada
+  metricsPort: parseInt(process.env.METRICS_PORT) || null,
+  metricsHost: process.env.METRICS_HOST || '127.0.0.1',
   
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info',
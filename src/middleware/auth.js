@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import Joi from 'joi';
+import { createContextLogger } from '../utils/logger.js';
+import { AuthError } from './errorHandler.js';
+import { logSecurityEvent } from './security.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('Auth');
+
+// Escopos que uma chave de API pode receber ("*" concede todos)
+export const API_KEY_SCOPES = [
+  'build:create',
+  'preview:read',
+  'preview:update',
+  'preview:delete',
+  'admin:read',
+  'admin:write'
+];
+
+// Apenas o hash SHA-256 da chave fica na configuração e em memória
+const apiKeyEntrySchema = Joi.object({
+  id: Joi.string().pattern(/^[\w.-]+$/).max(64).required(),
+  hash: Joi.string().pattern(/^[a-f0-9]{64}$/i).lowercase().required(),
+  scopes: Joi.array().items(Joi.string().valid('*', ...API_KEY_SCOPES)).min(1).unique().required(),
+  tenant: Joi.string().pattern(/^[\w.-]+$/).max(64), // chaves do mesmo tenant compartilham as cotas
+  quotas: Joi.object({
+    buildsPerHour: Joi.number().integer().min(0),
+    buildsPerDay: Joi.number().integer().min(0),
+    concurrentBuilds: Joi.number().integer().min(0),
+    livePreviews: Joi.number().integer().min(0),
+    storageBytes: Joi.number().integer().min(0)
+  }),
+  webhook: Joi.object({ // eventos de todos os builds feitos com a chave
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    secret: Joi.string().min(16) // padrão: WEBHOOK_SECRET
+  })
+}).unknown(true);
+
+const apiKeysSchema = Joi.array().items(apiKeyEntrySchema).unique('id').unique('hash');
+
+// hash -> { id, scopes, ... }
+const apiKeys = new Map();
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+
+const parseApiKeys = (raw, source) => {
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Chaves de API inválidas em ${source}: ${error.message}`);
+  }
+
+  const { error, value } = apiKeysSchema.validate(entries);
+  if (error) {
+    throw new Error(`Chaves de API inválidas em ${source}: ${error.details[0].message}`);
+  }
+
+  return value;
+};
+
+// Carregar as chaves do arquivo (API_KEYS_FILE) e/ou da variável de ambiente (API_KEYS)
+export const loadApiKeys = async ({ file = config.apiKeysFile, env = config.apiKeys } = {}) => {
+  const entries = [];
+
+  if (file) {
+    entries.push(...parseApiKeys(await fs.readFile(file, 'utf8'), file));
+  }
+
+  if (env) {
+    entries.push(...parseApiKeys(env, 'API_KEYS'));
+  }
+
+  apiKeys.clear();
+  for (const { hash, ...key } of entries) {
+    if (apiKeys.has(hash)) {
+      throw new Error(`Chave de API duplicada: ${key.id}`);
+    }
+    apiKeys.set(hash, { ...key, tenant: key.tenant || key.id });
+  }
+
+  if (apiKeys.size > 0) {
+    logger.info('Chaves de API carregadas', { count: apiKeys.size });
+  } else {
+    logger.warn('Nenhuma chave de API configurada: autenticação desativada');
+  }
+
+  return apiKeys.size;
+};
+
+export const isAuthEnabled = () => apiKeys.size > 0;
+
+export const getApiKeyById = (id) => [...apiKeys.values()].find(key => key.id === id) || null;
+
+// Chave enviada em "Authorization: Bearer <chave>" ou "X-API-Key: <chave>"
+const extractApiKey = (req) => {
+  const authorization = req.get('Authorization');
+  if (authorization) {
+    const [scheme, token] = authorization.split(' ');
+    return scheme?.toLowerCase() === 'bearer' ? token || null : null;
+  }
+
+  return req.get('X-API-Key') || null;
+};
+
+// Chave válida enviada na requisição, sem rejeitar (usada para identificar o cliente)
+export const identifyApiKey = (req) => {
+  const presented = extractApiKey(req);
+  return presented ? apiKeys.get(hashApiKey(presented)) || null : null;
+};
+
+const hasScope = (key, scopes) =>
+  scopes.length === 0 || key.scopes.includes('*') || scopes.some(scope => key.scopes.includes(scope));
+
+// Chave da requisição com escopo de administração: admin:read para leituras, admin:write para alterações
+export const hasAdminScope = (req, { write = false } = {}) =>
+  Boolean(req.apiKey) && hasScope(req.apiKey, write ? ['admin:write'] : ['admin:read', 'admin:write']);
+
+// Exige uma chave válida com pelo menos um dos escopos informados (sem escopos, qualquer chave válida)
+export const requireScope = (...scopes) => (req, res, next) => {
+  if (!isAuthEnabled()) {
+    return next();
+  }
+
+  const presented = extractApiKey(req);
+  if (!presented) {
+    logSecurityEvent('Requisição sem chave de API', req, { reason: 'missing' });
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return next(new AuthError('Chave de API obrigatória', 401, 'AUTH_REQUIRED'));
+  }
+
+  const key = apiKeys.get(hashApiKey(presented));
+  if (!key) {
+    logSecurityEvent('Chave de API inválida', req, { reason: 'invalid' });
+    res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return next(new AuthError('Chave de API inválida', 401, 'INVALID_API_KEY'));
+  }
+
+  if (!hasScope(key, scopes)) {
+    logSecurityEvent('Chave de API sem permissão', req, { reason: 'scope', keyId: key.id, required: scopes });
+    return next(new AuthError(`Chave de API sem permissão. Escopo necessário: ${scopes.join(' ou ')}`, 403, 'INSUFFICIENT_SCOPE'));
+  }
+
+  req.apiKey = key;
+  next();
+};
+
+export default {
+  API_KEY_SCOPES,
+  hashApiKey,
+  loadApiKeys,
+  isAuthEnabled,
+  getApiKeyById,
+  identifyApiKey,
+  hasAdminScope,
+  requireScope
+};
@@ -15,6 +15,61 @@ export class AppError extends Error {
   }
 }
 
+// Erro de build que excedeu o tempo limite de uma fase (installing/building)
+export class BuildTimeoutError extends AppError {
+  constructor(phase, deadline) {
+    super(`Tempo limite excedido na fase de ${phase === 'installing' ? 'instalação' : 'build'}`, 504);
+    this.type = 'BUILD_TIMEOUT';
+    this.phase = phase;
+    this.deadline = new Date(deadline).toISOString();
+    this.category = 'timeout';
+  }
+}
+
+// Comando de instalação ou build que terminou com erro: diagnósticos, categoria e o final do log
+export class BuildFailedError extends AppError {
+  constructor(phase, { command, exitCode, signal, category, diagnostics = [], log }) {
+    const [firstError] = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    super(firstError?.message || `Comando falhou na fase de ${phase === 'installing' ? 'instalação' : 'build'}: ${command}`, 422);
+    this.type = 'BUILD_FAILED';
+    this.phase = phase;
+    this.command = command;
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.category = category;
+    this.diagnostics = diagnostics;
+    this.log = log;
+  }
+}
+
+// Comando encerrado por um limite do sandbox (CPU, memória, processos) ou por acesso fora do projeto
+export class SandboxViolationError extends BuildFailedError {
+  constructor(phase, { violation, message, path, ...details }) {
+    super(phase, { ...details, category: 'sandbox_violation' });
+    this.message = message;
+    this.type = 'SANDBOX_VIOLATION';
+    this.violation = path ? { type: violation, path } : { type: violation };
+  }
+}
+
+// Falha de autenticação (401) ou de autorização (403)
+export class AuthError extends AppError {
+  constructor(message, statusCode, type) {
+    super(message, statusCode);
+    this.type = type;
+  }
+}
+
+// Cota do tenant excedida: 429 para cotas de taxa, 507 para armazenamento
+export class QuotaExceededError extends AppError {
+  constructor(quota, { used, limit, retryAfter }, statusCode = 429) {
+    super(`Cota excedida: ${quota} (${used} de ${limit})`, statusCode);
+    this.type = 'QUOTA_EXCEEDED';
+    this.quota = { name: quota, used, limit };
+    this.retryAfter = retryAfter;
+  }
+}
+
 // Middleware de tratamento de erros
 export const errorHandler = (err, req, res, next) => {
   let error = { ...err };
@@ -45,6 +100,13 @@ export const errorHandler = (err, req, res, next) => {
   // Erro de limite de tamanho
   if (err.code === 'LIMIT_FILE_SIZE') {
     error = new AppError('Arquivo muito grande', 413);
+  } else if (err.name === 'MulterError') {
+    error = new AppError(`Erro no upload: ${err.message}`, 400);
+  }
+
+  // Corpo da requisição acima do limite (express.json / express.raw)
+  if (err.type === 'entity.too.large') {
+    error = new AppError('Corpo da requisição muito grande', 413);
   }
 
   // Erro de ENOENT (arquivo não encontrado)
@@ -72,6 +134,33 @@ export const errorHandler = (err, req, res, next) => {
     }
   };
 
+  // Tipo e fase ajudam o cliente a distinguir falhas de build
+  if (error.type) {
+    response.error.type = error.type;
+  }
+  if (error.phase) {
+    response.error.phase = error.phase;
+  }
+  if (error.category) {
+    response.error.category = error.category;
+  }
+  if (error.violation) {
+    response.error.violation = error.violation;
+  }
+  if (error.diagnostics) {
+    response.error.diagnostics = error.diagnostics;
+  }
+  if (error.log) {
+    response.error.log = error.log;
+  }
+  if (error.quota) {
+    response.error.quota = error.quota;
+  }
+  if (error.retryAfter) {
+    response.error.retryAfter = error.retryAfter;
+    res.setHeader('Retry-After', error.retryAfter);
+  }
+
   // Incluir stack trace apenas em desenvolvimento
   if (config.nodeEnv === 'development') {
     response.error.stack = error.stack;
@@ -98,6 +187,11 @@ export const requestId = (req, res, next) => {
 
 export default {
   AppError,
+  BuildTimeoutError,
+  BuildFailedError,
+  SandboxViolationError,
+  AuthError,
+  QuotaExceededError,
   errorHandler,
   notFoundHandler,
   requestId
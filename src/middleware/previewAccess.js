@@ -0,0 +1,162 @@
+import { AuthError } from './errorHandler.js';
+import { logSecurityEvent } from './security.js';
+import { previewStore } from '../services/previewService.js';
+import { verifyShareToken, createPasswordSessionToken, verifyPreviewPassword } from '../services/shareLinks.js';
+import config from '../config/index.js';
+
+const cookieName = (previewId) => `pv_${previewId}`;
+
+const parseCookies = (header = '') =>
+  Object.fromEntries(
+    header.split(';')
+      .map(part => part.trim())
+      .filter(part => part.includes('='))
+      .map(part => {
+        const index = part.indexOf('=');
+        return [part.slice(0, index), decodeURIComponent(part.slice(index + 1))];
+      })
+  );
+
+// Senha enviada via HTTP basic auth (o usuário é ignorado)
+const parseBasicPassword = (header) => {
+  const [scheme, encoded] = (header || '').split(' ');
+  if (scheme?.toLowerCase() !== 'basic' || !encoded) {
+    return null;
+  }
+
+  const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+  const index = decoded.indexOf(':');
+  return index === -1 ? null : decoded.slice(index + 1);
+};
+
+// Tentativas de senha por preview + IP: { count, resetAt }. O bloqueio é checado antes do scrypt
+const passwordFailures = new Map();
+const MAX_TRACKED_FAILURES = 10000;
+
+const failureKey = (req, previewId) => `${previewId}:${req.ip}`;
+
+// Segundos até o fim do bloqueio (0 = sem bloqueio)
+const passwordLockout = (key, now = Date.now()) => {
+  const entry = passwordFailures.get(key);
+  if (!entry || now >= entry.resetAt) {
+    passwordFailures.delete(key);
+    return 0;
+  }
+
+  return entry.count >= config.previewPasswordMaxAttempts ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+};
+
+const recordPasswordAttempt = (key, now = Date.now()) => {
+  if (passwordFailures.size >= MAX_TRACKED_FAILURES) {
+    for (const [trackedKey, entry] of passwordFailures) {
+      if (now >= entry.resetAt) {
+        passwordFailures.delete(trackedKey);
+      }
+    }
+  }
+
+  const entry = passwordFailures.get(key);
+  const count = entry && now < entry.resetAt ? entry.count + 1 : 1;
+  passwordFailures.set(key, { count, resetAt: now + config.previewPasswordLockoutMs });
+  return count;
+};
+
+// Cookie restrito ao preview, mantendo o visitante autenticado nas requisições de assets.
+// Pelo alias, os assets com caminho absoluto continuam em /preview/<id>/: o cookie vale nos dois caminhos
+const setAccessCookie = (req, res, previewId, token, expiresAt) => {
+  const paths = req.previewHost ? ['/'] : [`/preview/${previewId}/`];
+  if (req.previewAlias) {
+    paths.push(`/p/${req.previewAlias}/`);
+  }
+
+  for (const cookiePath of paths) {
+    res.cookie(cookieName(previewId), token, {
+      path: cookiePath,
+      expires: new Date(expiresAt),
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure
+    });
+  }
+};
+
+// Controle de acesso de /preview/:id para previews protegidos: token assinado (?token=),
+// cookie emitido depois do primeiro acesso válido ou senha via basic auth
+export const previewAccess = async (req, res, next) => {
+  const [, previewId] = req.path.split('/');
+  const record = previewId ? previewStore.get(previewId) : null;
+
+  if (!record?.access?.protected) {
+    return next();
+  }
+
+  res.locals.previewProtected = true;
+
+  try {
+    const queryToken = req.query.token;
+    if (queryToken) {
+      const link = verifyShareToken(previewId, queryToken);
+
+      if (link) {
+        setAccessCookie(req, res, previewId, queryToken, link.expiresAt);
+
+        // Remover o token da URL para que não vaze em Referer e histórico
+        if (req.method === 'GET' || req.method === 'HEAD') {
+          const url = new URL(req.originalUrl, 'http://localhost');
+          url.searchParams.delete('token');
+          return res.redirect(302, `${url.pathname}${url.search}`);
+        }
+
+        return next();
+      }
+
+      logSecurityEvent('Token de compartilhamento inválido', req, { previewId });
+    }
+
+    const cookieToken = parseCookies(req.get('Cookie'))[cookieName(previewId)];
+    if (cookieToken && verifyShareToken(previewId, cookieToken)) {
+      return next();
+    }
+
+    const { passwordHash } = record.access;
+    if (passwordHash) {
+      const password = parseBasicPassword(req.get('Authorization'));
+
+      if (password !== null) {
+        const key = failureKey(req, previewId);
+        const retryAfter = passwordLockout(key);
+        if (retryAfter > 0) {
+          const error = new AuthError('Muitas senhas erradas para este preview: tente novamente mais tarde', 429, 'PREVIEW_PASSWORD_LOCKED');
+          error.retryAfter = retryAfter;
+          return next(error);
+        }
+
+        // Contada antes do scrypt: tentativas em paralelo não escapam do limite
+        const attempts = recordPasswordAttempt(key);
+
+        if (await verifyPreviewPassword(password, passwordHash)) {
+          passwordFailures.delete(key);
+          const session = createPasswordSessionToken(previewId);
+          setAccessCookie(req, res, previewId, session.token, session.expiresAt);
+          return next();
+        }
+
+        logSecurityEvent('Senha de preview inválida', req, { previewId, attempts });
+      }
+
+      res.setHeader('WWW-Authenticate', `Basic realm="Preview ${previewId}", charset="UTF-8"`);
+    }
+
+    next(new AuthError(
+      passwordHash
+        ? 'Preview protegido: informe a senha ou use um link de compartilhamento válido'
+        : 'Preview protegido: use um link de compartilhamento válido',
+      401,
+      'PREVIEW_PROTECTED'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default previewAccess;
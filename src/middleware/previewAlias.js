@@ -0,0 +1,50 @@
+import express from 'express';
+import { AppError, notFoundHandler } from './errorHandler.js';
+import { previewStore } from '../services/previewService.js';
+import { getAlias } from '../services/aliasService.js';
+import { getPreviewUrl } from '../services/buildService.js';
+import { isAliasName } from '../utils/validation.js';
+
+// URL fixa dos aliases: /p/<nome>/... é servido pelos mesmos handlers de /preview, com o caminho
+// reescrito para o diretório de saída do destino atual. Previews gerados com roteamento por host
+// usam caminhos absolutos a partir da raiz e são redirecionados para o próprio subdomínio
+export const createPreviewAliasRouter = (...handlers) => {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const [, name = ''] = req.path.split('/');
+    const alias = isAliasName(name) ? getAlias(name) : null;
+    const record = alias && previewStore.get(alias.previewId);
+
+    if (!record?.distDir) {
+      return next(new AppError(`Alias não encontrado: ${name}`, 404));
+    }
+
+    // O destino muda a cada repoint: os redirecionamentos não podem ficar em cache
+    if (req.path === `/${name}`) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.redirect(302, `${req.baseUrl}/${name}/${req.url.slice(name.length + 1)}`);
+    }
+
+    // Caminho do site dentro do alias, com a query string
+    const sitePath = req.url.slice(name.length + 2);
+
+    if (record.routing === 'host') {
+      const target = getPreviewUrl(record.id, record.distDir, { routing: 'host', baseUrl: `${req.protocol}://${req.get('host')}` });
+      res.setHeader('Cache-Control', 'no-store');
+      return res.redirect(302, `${target}${sitePath}`);
+    }
+
+    const distPath = record.distDir === '.' ? '' : `${record.distDir}/`;
+    req.url = `/${record.id}/${distPath}${sitePath}`;
+    req.previewAlias = name;
+    next();
+  });
+
+  router.use(...handlers);
+  router.use(notFoundHandler);
+
+  return router;
+};
+
+export default createPreviewAliasRouter;
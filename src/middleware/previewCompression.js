@@ -0,0 +1,102 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { previewStore } from '../services/previewService.js';
+import { ENCODINGS, isCompressible } from '../services/precompress.js';
+import config from '../config/index.js';
+
+// Arquivos com hash de conteúdo no nome (ex.: "index-B7x2kQ9a.js", "app.3f9a1c2e.css") nunca mudam
+const HASHED_ASSET = /[.-](?=\w*\d)\w{8,}\.(js|mjs|css|map|woff2?|ttf|otf|png|jpe?g|gif|svg|webp|avif|ico|wasm)$/i;
+
+export const isHashedAsset = (filePath) => HASHED_ASSET.test(filePath);
+
+// Cache-Control de um arquivo de preview: HTML sempre revalida, assets com hash são imutáveis.
+// Pelo alias (/p/<nome>/) o mesmo caminho muda de conteúdo a cada repoint: os demais arquivos também revalidam
+export const previewCacheControl = (filePath, { isPrivate = false, isAlias = false } = {}) => {
+  const scope = isPrivate ? 'private' : 'public';
+
+  if (/\.html?$/i.test(filePath)) {
+    return isPrivate ? 'private, no-cache' : 'no-cache';
+  }
+
+  if (isHashedAsset(filePath)) {
+    return `${scope}, max-age=31536000, immutable`;
+  }
+
+  return isAlias ? `${scope}, no-cache` : `${scope}, max-age=3600`;
+};
+
+// Codificações aceitas pelo cliente (ignora as com q=0)
+const acceptedEncodings = (header = '') =>
+  header.split(',')
+    .map(part => part.trim().split(';'))
+    .filter(([, ...params]) => !params.some(param => /^\s*q=0(\.0*)?\s*$/.test(param)))
+    .map(([name]) => name.trim().toLowerCase());
+
+const fileExists = async (filePath) => {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+};
+
+// Variante pré-comprimida de um arquivo aceita pelo cliente, definindo os headers da resposta.
+// Retorna a extensão da variante (".br" ou ".gz") ou null para servir o original
+export const negotiateEncoding = async (req, res, filePath) => {
+  if (!isCompressible(filePath)) {
+    return null;
+  }
+
+  res.vary('Accept-Encoding');
+  const accepted = acceptedEncodings(req.get('Accept-Encoding'));
+
+  for (const { encoding, extension } of ENCODINGS) {
+    if (accepted.includes(encoding) && await fileExists(`${filePath}${extension}`)) {
+      res.type(path.extname(filePath));
+      res.setHeader('Content-Encoding', encoding);
+      return extension;
+    }
+  }
+
+  return null;
+};
+
+// Antes dos arquivos estáticos: troca o caminho pela variante .br/.gz quando o cliente aceita.
+// req.path = "/<id>/...", montado em /preview ou reescrito pelo roteamento por host
+export const previewCompression = async (req, res, next) => {
+  if (!['GET', 'HEAD'].includes(req.method)) {
+    return next();
+  }
+
+  const [, previewId] = req.path.split('/');
+  if (!previewId || !previewStore.get(previewId)?.precompressed) {
+    return next();
+  }
+
+  try {
+    const requestPath = req.path.endsWith('/') ? `${req.path}index.html` : req.path;
+    const filePath = path.join(config.previewsDir, decodeURIComponent(requestPath));
+
+    if (!filePath.startsWith(path.join(config.previewsDir, previewId) + path.sep)) {
+      return next();
+    }
+
+    const extension = await negotiateEncoding(req, res, filePath);
+    if (extension) {
+      const query = req.url.slice(req.path.length);
+      req.url = `${requestPath}${extension}${query}`;
+    }
+
+    next();
+  } catch {
+    // Caminho malformado: o express.static responde
+    next();
+  }
+};
+
+export default {
+  isHashedAsset,
+  previewCacheControl,
+  negotiateEncoding,
+  previewCompression
+};
@@ -0,0 +1,73 @@
+import helmet from 'helmet';
+import { AppError } from './errorHandler.js';
+import { previewStore } from '../services/previewService.js';
+import config from '../config/index.js';
+
+// "default-src 'self'; img-src 'self' data:" -> { 'default-src': ["'self'"], 'img-src': ["'self'", 'data:'] }
+export const parseCsp = (policy) =>
+  Object.fromEntries(
+    policy.split(';')
+      .map(directive => directive.trim().split(/\s+/))
+      .filter(([name]) => name)
+      .map(([name, ...sources]) => [name.toLowerCase(), sources])
+  );
+
+// Origens que podem embutir previews em iframe; um preview só pode restringir a lista
+export const resolveFrameAncestors = (requested) => {
+  if (!requested) {
+    return undefined;
+  }
+
+  const allowed = ["'none'", ...config.previewFrameAncestors];
+  const denied = requested.filter(origin => !allowed.includes(origin));
+  if (denied.length > 0) {
+    throw new AppError(`Origem não permitida em frameAncestors: ${denied.join(', ')}. Permitidas: ${allowed.join(', ')}`, 400);
+  }
+
+  return requested.includes("'none'") ? ["'none'"] : requested;
+};
+
+// CSP de um preview: política padrão (PREVIEW_CSP), sobrescritas do build e frame-ancestors
+export const buildPreviewCsp = ({ csp = {}, frameAncestors } = {}) => {
+  const directives = {
+    ...parseCsp(config.previewCsp),
+    ...csp,
+    'frame-ancestors': frameAncestors || config.previewFrameAncestors
+  };
+
+  return Object.entries(directives)
+    .map(([name, sources]) => [name, ...sources].join(' '))
+    .join('; ');
+};
+
+// Headers comuns a todos os previews; CSP e framing ficam com previewSecurityHeaders
+const previewHelmet = helmet({
+  contentSecurityPolicy: false,
+  xFrameOptions: false, // substituído por frame-ancestors
+  crossOriginEmbedderPolicy: false,
+  crossOriginOpenerPolicy: { policy: 'same-origin-allow-popups' }, // popups de OAuth
+  crossOriginResourcePolicy: { policy: 'cross-origin' }
+});
+
+// Política de headers dos previews servidos (a API mantém o helmetConfig estrito).
+// req.path = "/<id>/...", montado em /preview ou reescrito pelo roteamento por host
+export const previewSecurityHeaders = (req, res, next) => {
+  const [, previewId] = req.path.split('/');
+
+  previewHelmet(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+
+    const record = previewId ? previewStore.get(previewId) : null;
+    res.setHeader('Content-Security-Policy', buildPreviewCsp(record?.securityHeaders));
+    next();
+  });
+};
+
+export default {
+  parseCsp,
+  resolveFrameAncestors,
+  buildPreviewCsp,
+  previewSecurityHeaders
+};
@@ -0,0 +1,61 @@
+import express from 'express';
+import { AppError, notFoundHandler } from './errorHandler.js';
+import { previewStore } from '../services/previewService.js';
+import { isSafeId } from '../utils/validation.js';
+import config from '../config/index.js';
+
+// ID do preview a partir do hostname ("<id>.previews.example.com"), ou null
+export const parsePreviewHost = (hostname, suffix = config.previewHostSuffix) => {
+  if (!hostname || !suffix) {
+    return null;
+  }
+
+  // O sufixo pode incluir a porta (ex.: "previews.localhost:3001"); o hostname não
+  const suffixHostname = suffix.split(':')[0].toLowerCase();
+  const host = hostname.toLowerCase();
+
+  if (!host.endsWith(`.${suffixHostname}`)) {
+    return null;
+  }
+
+  const previewId = host.slice(0, -(suffixHostname.length + 1));
+  return isSafeId(previewId) ? previewId : null;
+};
+
+// Requisições servidas como preview (/preview/..., /p/<alias>/... ou um subdomínio de preview), que não recebem os headers da API
+export const isPreviewRequest = (req) =>
+  req.path === '/preview' || req.path.startsWith('/preview/') || req.path.startsWith('/p/') || parsePreviewHost(req.hostname) !== null;
+
+// Roteamento por subdomínio: requisições para "<id>.PREVIEW_HOST_SUFFIX" são servidas pelos
+// mesmos handlers de /preview, com o caminho reescrito para o diretório de saída do preview.
+// Nenhuma rota da API responde nesses hosts.
+export const createPreviewHostRouter = (...handlers) => {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const record = previewStore.get(req.previewId);
+    if (!record?.distDir) {
+      return next(new AppError(`Preview não encontrado: ${req.previewId}`, 404));
+    }
+
+    const distPath = record.distDir === '.' ? '' : `${record.distDir}/`;
+    req.url = `/${req.previewId}/${distPath}${req.url.slice(1)}`;
+    next();
+  });
+
+  router.use(...handlers);
+  router.use(notFoundHandler);
+
+  return (req, res, next) => {
+    const previewId = parsePreviewHost(req.hostname);
+    if (!previewId) {
+      return next();
+    }
+
+    req.previewId = previewId;
+    req.previewHost = true;
+    router(req, res, next);
+  };
+};
+
+export default createPreviewHostRouter;
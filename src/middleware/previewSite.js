@@ -0,0 +1,134 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { AppError } from './errorHandler.js';
+import { previewStore } from '../services/previewService.js';
+import { matchRedirect, matchHeaders } from '../services/previewSite.js';
+import { negotiateEncoding, previewCacheControl } from './previewCompression.js';
+import config from '../config/index.js';
+
+// Arquivos de configuração do site que não são servidos
+const SITE_CONFIG_FILES = ['/_redirects', '/_headers'];
+
+// Contexto do preview da requisição (montada em /preview ou reescrita pelo roteamento por host):
+// req.path = "/<id>/<distDir>/<caminho no site>"
+const resolveSite = (req) => {
+  const [, previewId] = req.path.split('/');
+  const record = previewId ? previewStore.get(previewId) : null;
+
+  if (!record?.distDir || !record.site) {
+    return null;
+  }
+
+  const distPath = record.distDir === '.' ? '' : `${record.distDir}/`;
+  const sitePrefix = `/${previewId}/${distPath}`;
+
+  // Requisições fora do diretório de saída não seguem as regras do site
+  if (!`${req.path}/`.startsWith(sitePrefix)) {
+    return null;
+  }
+
+  return {
+    record,
+    outputPath: path.join(config.previewsDir, previewId, record.distDir),
+    sitePath: `/${req.path.slice(sitePrefix.length)}`,
+    // Prefixo público para destinos relativos ao site
+    publicPrefix: req.previewHost ? '' : req.previewAlias ? `/p/${req.previewAlias}` : `/preview${sitePrefix.slice(0, -1)}`
+  };
+};
+
+const fileExists = async (filePath) => {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+};
+
+const sendSiteFile = async (res, next, outputPath, sitePath, status) => {
+  try {
+    if (!res.getHeader('Cache-Control')) {
+      res.setHeader('Cache-Control', previewCacheControl(sitePath, {
+        isPrivate: res.locals.previewProtected,
+        isAlias: Boolean(res.req.previewAlias)
+      }));
+    }
+
+    // Variante .br/.gz, se o preview foi pré-comprimido e o cliente aceita
+    const encodedExtension = await negotiateEncoding(res.req, res, path.join(outputPath, sitePath));
+    const filePath = `${sitePath.slice(1)}${encodedExtension || ''}`;
+
+    res.status(status).sendFile(filePath, { root: outputPath, dotfiles: 'deny' }, (error) => {
+      if (error && !res.headersSent) {
+        next(error.status === 404 ? undefined : error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Antes dos arquivos estáticos: _headers e _redirects do próprio preview
+export const previewSiteRules = async (req, res, next) => {
+  const site = resolveSite(req);
+  if (!site) {
+    return next();
+  }
+
+  const { record, outputPath, sitePath, publicPrefix } = site;
+
+  if (SITE_CONFIG_FILES.includes(sitePath)) {
+    return next(new AppError(`Rota não encontrada: ${req.originalUrl}`, 404));
+  }
+
+  try {
+    for (const [name, value] of Object.entries(matchHeaders(record.site.headers, sitePath))) {
+      res.setHeader(name, value);
+    }
+
+    const redirect = matchRedirect(record.site.redirects, sitePath);
+
+    // Como no Netlify, um arquivo existente tem precedência, a não ser que a regra use "!"
+    const requestedFile = sitePath.endsWith('/') ? `${sitePath}index.html` : sitePath;
+    if (!redirect || (!redirect.force && await fileExists(path.join(outputPath, requestedFile)))) {
+      return next();
+    }
+
+    const target = /^https?:\/\//i.test(redirect.to) ? redirect.to : `${publicPrefix}${redirect.to}`;
+
+    if (redirect.status === 200 || redirect.status === 404 || redirect.status === 410) {
+      // Reescrita interna: serve o destino dentro do próprio preview
+      const [targetPath] = redirect.to.split('?');
+      return sendSiteFile(res, next, outputPath, targetPath.endsWith('/') ? `${targetPath}index.html` : targetPath, redirect.status);
+    }
+
+    res.redirect(redirect.status, target);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Depois dos arquivos estáticos: fallback de SPA para index.html ou a página 404.html do preview
+export const previewSiteFallback = (req, res, next) => {
+  const site = resolveSite(req);
+  if (!site || !['GET', 'HEAD'].includes(req.method)) {
+    return next();
+  }
+
+  const { record, outputPath, sitePath } = site;
+
+  // Rotas do cliente não têm extensão; assets ausentes continuam 404
+  if (record.site.spa && !path.extname(sitePath) && req.accepts('html')) {
+    return sendSiteFile(res, next, outputPath, '/index.html', 200);
+  }
+
+  if (record.site.notFoundPage) {
+    return sendSiteFile(res, next, outputPath, '/404.html', 404);
+  }
+
+  next();
+};
+
+export default {
+  previewSiteRules,
+  previewSiteFallback
+};
@@ -1,38 +1,79 @@
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import path from 'path';
+import { pathToFileURL } from 'url';
 import { createContextLogger } from '../utils/logger.js';
+import { identifyApiKey } from './auth.js';
+import { rateLimitRejectionsTotal } from '../services/metrics.js';
+import { ARCHIVE_CONTENT_TYPES } from '../utils/archive.js';
 import config from '../config/index.js';
 
 const logger = createContextLogger('Security');
 
-// Rate limiting
-export const createRateLimit = () => {
+// Identificar o cliente para o rate limiting: chave de API válida, senão o IP
+const rateLimitKey = (req) => {
+  const apiKey = identifyApiKey(req);
+  return apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`;
+};
+
+// Carregar a fábrica de stores do rate limiting (RATE_LIMIT_STORE_MODULE).
+// O módulo exporta por padrão (policy) => store compatível com express-rate-limit,
+// permitindo compartilhar os contadores entre instâncias (ex.: Redis). Sem módulo, cada
+// política usa o store em memória.
+export const loadRateLimitStoreFactory = async (modulePath = config.rateLimitStoreModule) => {
+  if (!modulePath) {
+    return null;
+  }
+
+  const { default: factory } = await import(pathToFileURL(path.resolve(modulePath)).href);
+  if (typeof factory !== 'function') {
+    throw new Error(`RATE_LIMIT_STORE_MODULE deve exportar uma função (policy) => store: ${modulePath}`);
+  }
+
+  logger.info('Store de rate limiting carregado', { modulePath });
+  return factory;
+};
+
+// Rate limiting de um grupo de rotas (build, management ou preview)
+export const createRateLimit = (policy = 'management', { store, ...overrides } = {}) => {
+  const { windowMs, max } = { ...config.rateLimits[policy], ...overrides };
+
+  // Política sem limite
+  if (!max) {
+    return (req, res, next) => next();
+  }
+
+  // Série zerada desde o início, para a política aparecer no /metrics
+  rateLimitRejectionsTotal.inc({ policy }, 0);
+
   return rateLimit({
-    windowMs: config.rateLimitWindowMs,
-    max: config.rateLimitMaxRequests,
-    message: {
-      success: false,
-      error: {
-        message: 'Muitas requisições. Tente novamente mais tarde.',
-        type: 'RATE_LIMIT_EXCEEDED',
-        retryAfter: Math.ceil(config.rateLimitWindowMs / 1000)
-      }
-    },
+    windowMs,
+    max,
+    store,
+    keyGenerator: rateLimitKey,
     standardHeaders: true,
     legacyHeaders: false,
     handler: (req, res) => {
+      const retryAfter = Math.max(1, Math.ceil(((req.rateLimit.resetTime?.getTime() ?? Date.now() + windowMs) - Date.now()) / 1000));
+
+      rateLimitRejectionsTotal.inc({ policy });
+
       logger.warn('Rate limit excedido:', {
+        policy,
+        key: rateLimitKey(req),
         ip: req.ip,
         userAgent: req.get('User-Agent'),
         url: req.url
       });
       
+      res.setHeader('Retry-After', retryAfter);
       res.status(429).json({
         success: false,
         error: {
           message: 'Muitas requisições. Tente novamente mais tarde.',
           type: 'RATE_LIMIT_EXCEEDED',
-          retryAfter: Math.ceil(config.rateLimitWindowMs / 1000)
+          policy,
+          retryAfter
         }
       });
     }
@@ -61,13 +102,12 @@ export const helmetConfig = helmet({
 // Middleware para validar Content-Type
 export const validateContentType = (req, res, next) => {
   if (req.method === 'POST' && req.path === '/build') {
-    const contentType = req.get('Content-Type');
-    
-    if (!contentType || !contentType.includes('application/json')) {
+    // JSON com o mapa de arquivos, ou o projeto como arquivo compactado
+    if (!req.is(['application/json', 'multipart/form-data', ...ARCHIVE_CONTENT_TYPES])) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Content-Type deve ser application/json',
+          message: `Content-Type deve ser application/json, multipart/form-data ou ${ARCHIVE_CONTENT_TYPES.join(', ')}`,
           type: 'INVALID_CONTENT_TYPE'
         }
       });
@@ -86,6 +126,18 @@ export const sanitizeHeaders = (req, res, next) => {
   next();
 };
 
+// Registrar um evento de segurança com os dados da requisição
+export const logSecurityEvent = (message, req, meta = {}) => {
+  logger.warn(message, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || '',
+    method: req.method,
+    url: req.originalUrl,
+    requestId: req.id,
+    ...meta
+  });
+};
+
 // Middleware para logging de segurança
 export const securityLogger = (req, res, next) => {
   // Log de tentativas suspeitas
@@ -103,10 +155,7 @@ export const securityLogger = (req, res, next) => {
   
   for (const pattern of suspiciousPatterns) {
     if (pattern.test(url) || pattern.test(userAgent) || pattern.test(body)) {
-      logger.warn('Tentativa suspeita detectada:', {
-        ip: req.ip,
-        userAgent,
-        url,
+      logSecurityEvent('Tentativa suspeita detectada:', req, {
         pattern: pattern.toString(),
         body: req.body
       });
@@ -118,10 +167,12 @@ export const securityLogger = (req, res, next) => {
 };
 
 export default {
+  loadRateLimitStoreFactory,
   createRateLimit,
   helmetConfig,
   validateContentType,
   sanitizeHeaders,
+  logSecurityEvent,
   securityLogger
 };
 
@@ -0,0 +1,27 @@
+import express from 'express';
+import { getDependencyCacheStats, purgeDependencyCache } from '../services/dependencyCache.js';
+import { requireScope } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Estado do cache de dependências (entradas, espaço ocupado e hits)
+router.get('/admin/dependency-cache', requireScope('admin:read', 'admin:write'), (req, res) => {
+  res.json({
+    success: true,
+    data: getDependencyCacheStats()
+  });
+});
+
+// Esvaziar o cache de dependências (ex.: depois de atualizar o Node ou o registry)
+router.delete('/admin/dependency-cache', requireScope('admin:write'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await purgeDependencyCache()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,145 @@
+import express from 'express';
+import { createContextLogger } from '../utils/logger.js';
+import { isAliasName, pointAliasSchema, rollbackAliasSchema } from '../utils/validation.js';
+import { getAlias, listAliases, pointAlias, rollbackAlias, deleteAlias, getAliasUrl } from '../services/aliasService.js';
+import { previewStore } from '../services/previewService.js';
+import { resolveTenant, isOwnedByRequester } from '../services/quotaService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { requireScope, isAuthEnabled, hasAdminScope } from '../middleware/auth.js';
+import config from '../config/index.js';
+
+const router = express.Router();
+const logger = createContextLogger('AliasesRoute');
+
+// Representação pública de um alias: URL fixa, destino atual e histórico com a situação de cada preview
+const toAliasResponse = (req, { id, history, ...alias }) => ({
+  name: id,
+  ...alias,
+  url: getAliasUrl(id, `${req.protocol}://${req.get('host')}`),
+  history: history.map((entry, index) => {
+    const record = previewStore.get(entry.previewId);
+    return {
+      ...entry,
+      status: record?.status || 'removed',
+      expiresAt: record?.expiresAt || null,
+      retained: Boolean(record) && index < config.aliasRetainedVersions
+    };
+  })
+});
+
+const validateName = (name) => {
+  if (!isAliasName(name)) {
+    throw new AppError('Nome de alias inválido: use letras minúsculas, números e hífens (até 63 caracteres)', 400);
+  }
+  return name;
+};
+
+// Alias de outro tenant responde como inexistente (scopes admin enxergam todos)
+const requireOwnedAlias = (req, { write = false } = {}) => {
+  const name = validateName(req.params.name);
+  const alias = getAlias(name);
+  if (!alias || !isOwnedByRequester(req, alias.owner, { write })) {
+    throw new AppError(`Alias não encontrado: ${name}`, 404);
+  }
+  return alias;
+};
+
+// Listar aliases (do atualizado mais recentemente para o mais antigo)
+router.get('/aliases', requireScope('preview:read', 'admin:read'), (req, res, next) => {
+  try {
+    const owner = isAuthEnabled() && !hasAdminScope(req) ? resolveTenant(req) : undefined;
+    const aliases = listAliases().filter(alias => !owner || alias.owner === owner);
+
+    res.json({
+      success: true,
+      data: { aliases: aliases.map(alias => toAliasResponse(req, alias)) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Destino atual e histórico de um alias
+router.get('/aliases/:name', requireScope('preview:read', 'admin:read'), (req, res, next) => {
+  try {
+    const alias = requireOwnedAlias(req);
+
+    res.json({
+      success: true,
+      data: toAliasResponse(req, alias)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Criar o alias ou apontá-lo para outro preview
+router.put('/aliases/:name', requireScope('preview:update'), async (req, res, next) => {
+  try {
+    const name = validateName(req.params.name);
+    const { error, value } = pointAliasSchema.validate(req.body);
+    if (error) {
+      throw new AppError(`Erro de validação: ${error.details[0].message}`, 400);
+    }
+
+    const existing = getAlias(name);
+    if (existing && !isOwnedByRequester(req, existing.owner, { write: true })) {
+      throw new AppError(`Alias já pertence a outro tenant: ${name}`, 409);
+    }
+    // O destino precisa ser um preview do próprio tenant
+    const target = previewStore.get(value.previewId);
+    if (target && !isOwnedByRequester(req, target.owner, { write: true })) {
+      throw new AppError(`Preview não encontrado: ${value.previewId}`, 404);
+    }
+
+    const created = !existing;
+    const alias = await pointAlias(name, value.previewId, { owner: resolveTenant(req) });
+
+    logger.info('Alias apontado via API', { alias: name, previewId: value.previewId, requestId: req.id });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: toAliasResponse(req, alias)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Voltar o alias para um destino anterior do histórico
+router.post('/aliases/:name/rollback', requireScope('preview:update'), async (req, res, next) => {
+  try {
+    const { id: name } = requireOwnedAlias(req, { write: true });
+    const { error, value } = rollbackAliasSchema.validate(req.body);
+    if (error) {
+      throw new AppError(`Erro de validação: ${error.details[0].message}`, 400);
+    }
+
+    const alias = await rollbackAlias(name, value);
+
+    logger.info('Rollback de alias via API', { alias: name, previewId: alias.previewId, requestId: req.id });
+
+    res.json({
+      success: true,
+      data: toAliasResponse(req, alias)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remover o alias (os previews do histórico voltam a seguir a própria expiração)
+router.delete('/aliases/:name', requireScope('preview:delete'), async (req, res, next) => {
+  try {
+    await deleteAlias(requireOwnedAlias(req, { write: true }).id);
+
+    res.json({
+      success: true,
+      data: { name: req.params.name, deleted: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
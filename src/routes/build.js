@@ -1,63 +1,130 @@
 import express from 'express';
-import { nanoid } from 'nanoid';
+import multer from 'multer';
 import path from 'path';
 import { createContextLogger } from '../utils/logger.js';
-import { buildPayloadSchema, validateProjectStructure } from '../utils/validation.js';
+import {
+  buildPayloadSchema,
+  buildOptionsSchema,
+  updateFilesSchema,
+  validateProjectStructure,
+  validateProjectFiles
+} from '../utils/validation.js';
+import { ARCHIVE_CONTENT_TYPES, extractArchive } from '../utils/archive.js';
 import { writeFileSecure, ensureDirectory, getDirectorySize, checkDiskSpace, removeDirectory } from '../utils/fileSystem.js';
-import { runBuild } from '../services/buildService.js';
+import {
+  installDependencies,
+  runBuild,
+  getPreviewUrl,
+  detectProjectAdapter,
+  requiresInstall
+} from '../services/buildService.js';
+import { buildQueue, isFinalPhase } from '../services/buildQueue.js';
+import { openBuildLog, getBuildLog, readBuildLogEntries } from '../services/buildLogs.js';
+import {
+  previewStore,
+  recordPreview,
+  forgetPreview,
+  getPreview,
+  createPreviewId,
+  findPreviewByBuildHash,
+  renewPreview,
+  clonePreview
+} from '../services/previewService.js';
+import { resolveTenant, resolveQuotaLimits, checkBuildQuota, recordBuildStart, isOwnedByRequester } from '../services/quotaService.js';
+import { hashPreviewPassword } from '../services/shareLinks.js';
+import { loadSiteConfig } from '../services/previewSite.js';
+import { precompressDirectory } from '../services/precompress.js';
+import { computeDependencyKey } from '../services/dependencyCache.js';
+import { pointAlias, getAlias, getAliasUrl } from '../services/aliasService.js';
+import { createStagingTree, applyFileChanges, getSourceSize, swapPreviewDirectory } from '../services/previewUpdate.js';
+import { resolveWebhookTargets, emitWebhookEvent } from '../services/webhookService.js';
+import { buildsTotal, observeBuildPhase } from '../services/metrics.js';
+import { hashProjectFiles, hashBuildInput } from '../utils/hash.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { requireScope } from '../middleware/auth.js';
+import { resolveFrameAncestors } from '../middleware/previewHeaders.js';
 import config from '../config/index.js';
 
 const router = express.Router();
 const logger = createContextLogger('BuildRoute');
 
-router.post('/build', async (req, res, next) => {
-  const startTime = Date.now();
-  let projectId = null;
-  let projectDir = null;
+// Fase atual do job (status, log e métricas). A duração de cada fase que termina vai para as métricas
+const createPhaseTracker = (updatePhase, log) => {
+  let current = null;
+  let startedAt = Date.now();
 
-  try {
-    logger.info('Nova requisição de build recebida', {
-      ip: req.ip,
-      userAgent: req.get('User-Agent'),
-      requestId: req.id
-    });
-
-    // Verificar espaço em disco
-    const diskSpace = await checkDiskSpace();
-    if (diskSpace && diskSpace.usagePercent > 90) {
-      throw new AppError('Espaço em disco insuficiente', 507);
+  return {
+    get current() {
+      return current;
+    },
+    set(phase) {
+      observeBuildPhase(current, Date.now() - startedAt);
+      current = phase;
+      startedAt = Date.now();
+      updatePhase(phase);
+      log.setPhase(phase);
+    },
+    finish() {
+      observeBuildPhase(current, Date.now() - startedAt);
     }
+  };
+};
 
-    // Validar payload
-    const { error, value } = buildPayloadSchema.validate(req.body);
-    if (error) {
-      throw new AppError(`Erro de validação: ${error.details[0].message}`, 400);
-    }
+// Variantes .br/.gz dos assets de texto; uma falha aqui não invalida o build
+const precompressOutput = async (outputPath, projectId) => {
+  if (!config.precompress.enabled) {
+    return false;
+  }
 
-    const { files } = value;
+  try {
+    await precompressDirectory(outputPath);
+    return true;
+  } catch (error) {
+    logger.warn('Falha na pré-compressão dos assets', { projectId, error: error.message });
+    return false;
+  }
+};
 
-    // Validar estrutura do projeto
-    validateProjectStructure(files);
+// Apontar o alias pedido no build para o preview pronto. Uma falha aqui (ex.: preview removido
+// nesse meio tempo) não desfaz o build: o erro volta no resultado
+const pointBuildAlias = async (name, previewId, { owner, baseUrl, requestId }) => {
+  if (!name) {
+    return undefined;
+  }
 
-    // Verificar número de arquivos
-    const fileCount = Object.keys(files).length;
-    if (fileCount > config.maxFiles) {
-      throw new AppError(`Muitos arquivos: ${fileCount}. Máximo permitido: ${config.maxFiles}`, 400);
-    }
+  const result = { name, url: getAliasUrl(name, baseUrl) };
+  try {
+    await pointAlias(name, previewId, { owner });
+  } catch (error) {
+    logger.warn('Falha ao apontar o alias para o preview', { alias: name, previewId, error: error.message, requestId });
+    result.error = error.message;
+  }
+  return result;
+};
 
-    // Gerar ID único para o projeto
-    projectId = nanoid();
-    projectDir = path.join(config.previewsDir, projectId);
+// Executa as fases de um job de build (escrita, instalação e build)
+const processBuildJob = async (job, updatePhase) => {
+  const { projectId, projectDir, files, fileCount, mode, spa, timeouts, access, securityHeaders, routing, baseUrl, owner, sourceHash, buildHash, alias, webhooks, requestId } = job.data;
+  const startTime = Date.now();
+  const log = openBuildLog(job.id);
+  const phases = createPhaseTracker(updatePhase, log);
+  let framework = 'unknown';
+
+  try {
+    phases.set('writing');
 
     logger.info('Iniciando criação do projeto', {
       projectId,
+      jobId: job.id,
       fileCount,
-      requestId: req.id
+      requestId
     });
 
     // Criar diretório do projeto
     await ensureDirectory(projectDir);
+    await recordPreview(projectId, {
+      status: 'building', jobId: job.id, owner, sourceHash, buildHash, mode, spa, access, securityHeaders, routing, webhooks
+    });
 
     // Escrever arquivos
     const writePromises = Object.entries(files).map(async ([filePath, content]) => {
@@ -75,65 +142,769 @@ router.post('/build', async (req, res, next) => {
 
     logger.info('Arquivos escritos, iniciando build', {
       projectId,
+      jobId: job.id,
       projectSize: Math.round(projectSize / 1024 / 1024),
-      requestId: req.id
+      requestId
     });
 
+    const { adapter, project } = await detectProjectAdapter(projectDir, { mode });
+    framework = adapter.framework ? adapter.framework(project) : adapter.name;
+
+    // Instalar dependências (sites estáticos pulam esta fase)
+    let dependencyCache = 'skipped';
+    if (requiresInstall(adapter)) {
+      phases.set('installing');
+      ({ cache: dependencyCache } = await installDependencies(projectDir, { log, timeoutMs: timeouts.install }));
+    }
+
     // Executar build
-    const buildResult = await runBuild(projectDir, id);
+    phases.set('building');
+    // O runBuild devolve o projeto ao usuário do servidor: o preview publicado não pode ser alterado
+    // pelos comandos de outros builds
+    const buildResult = await runBuild(projectDir, projectId, { adapter, project, routing, log, timeoutMs: timeouts.build });
+
+    // SPA, 404.html, _redirects e _headers do diretório de saída
+    const site = await loadSiteConfig(path.join(projectDir, buildResult.distDir), { spa });
+
+    const precompressed = await precompressOutput(path.join(projectDir, buildResult.distDir), projectId);
 
     // Gerar URL de preview
-    const previewUrl = `${req.protocol}://${req.get('host')}/preview/${projectId}/${buildResult.distDir}/`;
+    const previewUrl = getPreviewUrl(projectId, buildResult.distDir, { routing, baseUrl });
 
     const duration = Date.now() - startTime;
 
     logger.info('Build concluído com sucesso', {
       projectId,
+      jobId: job.id,
       projectType: buildResult.projectType,
+      framework: buildResult.framework,
       distDir: buildResult.distDir,
+      dependencyCache,
       duration,
       previewUrl,
+      requestId
+    });
+
+    await recordPreview(projectId, {
+      status: 'ready',
+      projectType: buildResult.projectType,
+      framework: buildResult.framework,
+      distDir: buildResult.distDir,
+      site,
+      precompressed,
+      url: previewUrl,
+      buildTime: duration,
+      fileCount,
+      size: await getDirectorySize(projectDir),
+      builtAt: new Date().toISOString()
+    });
+
+    const aliasResult = await pointBuildAlias(alias, projectId, { owner, baseUrl, requestId });
+
+    log.end('succeeded');
+    phases.finish();
+    buildsTotal.inc({ result: 'succeeded', framework: buildResult.framework });
+
+    await emitWebhookEvent('build.succeeded', {
+      previewId: projectId,
+      jobId: job.id,
+      url: previewUrl,
+      framework: buildResult.framework,
+      projectType: buildResult.projectType,
+      duration
+    }, webhooks);
+
+    return {
+      projectId,
+      url: previewUrl,
+      projectType: buildResult.projectType,
+      framework: buildResult.framework,
+      buildTime: duration,
+      dependencyCache,
+      fromCache: false,
+      fileCount,
+      projectSize: Math.round(projectSize / 1024 / 1024),
+      protected: access.protected,
+      alias: aliasResult
+    };
+
+  } catch (error) {
+    logger.error('Erro durante build:', {
+      projectId,
+      jobId: job.id,
+      error: error.message,
+      duration: Date.now() - startTime,
+      requestId
+    });
+
+    log.end('failed', error.message || String(error));
+    phases.finish();
+    buildsTotal.inc({ result: 'failed', framework });
+
+    await emitWebhookEvent('build.failed', {
+      previewId: projectId,
+      jobId: job.id,
+      duration: Date.now() - startTime,
+      error: {
+        message: error.message || String(error),
+        type: error.type,
+        phase: error.phase || phases.current,
+        category: error.category,
+        violation: error.violation,
+        diagnostics: error.diagnostics
+      }
+    }, webhooks);
+
+    // Limpar diretório em caso de erro
+    await forgetPreview(projectId);
+    try {
+      await removeDirectory(projectDir);
+      logger.debug('Diretório de projeto removido após erro', { projectId });
+    } catch (cleanupError) {
+      logger.error('Erro ao limpar diretório após falha:', {
+        projectId,
+        error: cleanupError.message
+      });
+    }
+
+    throw error;
+  }
+};
+
+// Executa uma atualização incremental: as mudanças são aplicadas a uma cópia de trabalho do preview,
+// que só substitui o diretório publicado depois que o novo build termina com sucesso
+const processUpdateJob = async (job, updatePhase) => {
+  const { projectId, files, deleted, timeouts, baseUrl, requestId } = job.data;
+  const previewDir = path.join(config.previewsDir, projectId);
+  const startTime = Date.now();
+  const log = openBuildLog(job.id);
+  const phases = createPhaseTracker(updatePhase, log);
+  let preview = null;
+  let framework = 'unknown';
+  let stagingDir = null;
+
+  try {
+    // O preview pode ter sido removido ou expirado enquanto a atualização estava na fila
+    preview = previewStore.get(projectId);
+    if (!preview) {
+      throw new AppError(`Preview não encontrado: ${projectId}`, 404);
+    }
+    framework = preview.framework || 'unknown';
+
+    phases.set('writing');
+
+    logger.info('Iniciando atualização do preview', {
+      projectId,
+      jobId: job.id,
+      written: Object.keys(files).length,
+      deleted: deleted.length,
+      requestId
+    });
+
+    stagingDir = await createStagingTree(projectId, preview);
+    await applyFileChanges(stagingDir, { files, deleted });
+
+    const projectSize = await getSourceSize(stagingDir);
+    if (projectSize > config.maxProjectSize) {
+      throw new AppError(`Projeto muito grande: ${Math.round(projectSize / 1024 / 1024)}MB. Máximo: ${Math.round(config.maxProjectSize / 1024 / 1024)}MB`, 413);
+    }
+
+    const { adapter, project } = await detectProjectAdapter(stagingDir, { mode: preview.mode });
+    framework = adapter.framework ? adapter.framework(project) : adapter.name;
+
+    // Reinstalar só quando package.json, lockfile ou .npmrc mudaram; senão o node_modules atual é mantido
+    let dependencyCache = 'skipped';
+    const dependenciesChanged = requiresInstall(adapter) &&
+      await computeDependencyKey(previewDir) !== await computeDependencyKey(stagingDir);
+
+    if (dependenciesChanged) {
+      phases.set('installing');
+      await removeDirectory(path.join(stagingDir, 'node_modules'));
+      ({ cache: dependencyCache } = await installDependencies(stagingDir, { log, timeoutMs: timeouts.install }));
+    }
+
+    phases.set('building');
+    const buildResult = await runBuild(stagingDir, projectId, { adapter, project, routing: preview.routing, log, timeoutMs: timeouts.build });
+    const site = await loadSiteConfig(path.join(stagingDir, buildResult.distDir), { spa: preview.spa });
+    const precompressed = await precompressOutput(path.join(stagingDir, buildResult.distDir), projectId);
+
+    await swapPreviewDirectory(projectId, stagingDir);
+    stagingDir = null;
+
+    const previewUrl = getPreviewUrl(projectId, buildResult.distDir, { routing: preview.routing, baseUrl });
+    const duration = Date.now() - startTime;
+
+    logger.info('Preview atualizado com sucesso', {
+      projectId,
+      jobId: job.id,
+      framework: buildResult.framework,
+      dependenciesReinstalled: dependenciesChanged,
+      duration,
+      requestId
+    });
+
+    // Os arquivos deixam de corresponder a um payload completo: o preview não é mais
+    // reaproveitado por builds idênticos
+    await recordPreview(projectId, {
+      projectType: buildResult.projectType,
+      framework: buildResult.framework,
+      distDir: buildResult.distDir,
+      site,
+      precompressed,
+      url: previewUrl,
+      buildTime: duration,
+      size: await getDirectorySize(previewDir),
+      sourceHash: null,
+      buildHash: null,
+      updateJobId: null,
+      builtAt: new Date().toISOString()
+    });
+
+    log.end('succeeded');
+    phases.finish();
+    buildsTotal.inc({ result: 'succeeded', framework: buildResult.framework });
+
+    await emitWebhookEvent('build.succeeded', {
+      previewId: projectId,
+      jobId: job.id,
+      url: previewUrl,
+      framework: buildResult.framework,
+      projectType: buildResult.projectType,
+      duration,
+      update: true
+    }, preview.webhooks);
+
+    return {
+      projectId,
+      url: previewUrl,
+      projectType: buildResult.projectType,
+      framework: buildResult.framework,
+      buildTime: duration,
+      dependencyCache,
+      dependenciesReinstalled: dependenciesChanged,
+      changes: {
+        written: Object.keys(files).length,
+        deleted: deleted.length
+      }
+    };
+
+  } catch (error) {
+    logger.error('Erro durante atualização do preview:', {
+      projectId,
+      jobId: job.id,
+      error: error.message,
+      duration: Date.now() - startTime,
+      requestId
+    });
+
+    log.end('failed', error.message || String(error));
+    phases.finish();
+    buildsTotal.inc({ result: 'failed', framework });
+
+    await emitWebhookEvent('build.failed', {
+      previewId: projectId,
+      jobId: job.id,
+      duration: Date.now() - startTime,
+      update: true,
+      error: {
+        message: error.message || String(error),
+        type: error.type,
+        phase: error.phase || phases.current,
+        category: error.category,
+        violation: error.violation,
+        diagnostics: error.diagnostics
+      }
+    }, preview?.webhooks);
+
+    // O preview publicado continua com a versão anterior
+    if (stagingDir) {
+      await removeDirectory(stagingDir).catch(cleanupError => {
+        logger.error('Erro ao remover cópia de trabalho após falha:', { projectId, error: cleanupError.message });
+      });
+    }
+    if (previewStore.get(projectId)) {
+      await previewStore.update(projectId, { updateJobId: null });
+    }
+
+    throw error;
+  }
+};
+
+// Build idêntico a um preview ativo: devolve o mesmo preview ou, com "unique", copia o dist para
+// um novo ID. A cópia só é possível com PREVIEW_ROUTING=host: no modo path o base path do build
+// contém o ID do preview de origem. Retorna null quando é preciso executar o build
+const resolveCachedBuild = async ({ buildHash, unique, access, securityHeaders, owner, alias, webhooks, baseUrl, hasPassword, requestId }) => {
+  const cached = await findPreviewByBuildHash(buildHash);
+  if (!cached) {
+    return null;
+  }
+
+  let preview;
+  // A senha é guardada só como hash (com salt): previews com senha não são compartilhados
+  if (!unique && !hasPassword && !cached.access?.passwordHash) {
+    preview = await renewPreview(cached.id);
+  } else if (cached.routing === 'host') {
+    const previewId = createPreviewId();
+    preview = await clonePreview(cached, previewId, {
+      owner,
+      access,
+      securityHeaders,
+      webhooks,
+      url: getPreviewUrl(previewId, cached.distDir, { routing: cached.routing, baseUrl })
+    });
+  } else {
+    return null;
+  }
+
+  logger.info('Build idêntico a um preview ativo, build ignorado', { previewId: preview.id, source: cached.id, copied: preview.id !== cached.id });
+  buildsTotal.inc({ result: 'cached', framework: preview.framework });
+
+  const aliasResult = await pointBuildAlias(alias, preview.id, { owner, baseUrl, requestId });
+
+  await emitWebhookEvent('build.succeeded', {
+    previewId: preview.id,
+    url: preview.url,
+    framework: preview.framework,
+    projectType: preview.projectType,
+    duration: 0,
+    fromCache: true
+  }, webhooks);
+
+  return {
+    projectId: preview.id,
+    url: preview.url,
+    projectType: preview.projectType,
+    framework: preview.framework,
+    buildTime: 0,
+    fromCache: true,
+    cachedFrom: cached.id,
+    fileCount: preview.fileCount,
+    projectSize: Math.round(preview.size / 1024 / 1024),
+    protected: Boolean(preview.access?.protected),
+    expiresAt: preview.expiresAt,
+    alias: aliasResult
+  };
+};
+
+// Upload do projeto compactado: multipart (campo "archive") ou corpo bruto zip/gzip
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.maxArchiveSize, files: 1, fields: 10 }
+}).single('archive');
+
+const rawArchive = express.raw({ type: ARCHIVE_CONTENT_TYPES, limit: config.maxArchiveSize });
+
+const parseArchiveUpload = (req, res, next) => {
+  if (req.is('multipart/form-data')) {
+    return archiveUpload(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+      if (!req.file) {
+        return next(new AppError('Campo "archive" com o arquivo compactado é obrigatório', 400));
+      }
+
+      req.archive = req.file.buffer;
+      next();
+    });
+  }
+
+  if (req.is(ARCHIVE_CONTENT_TYPES)) {
+    return rawArchive(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+
+      req.archive = req.body;
+      req.body = {};
+      next();
+    });
+  }
+
+  next();
+};
+
+// Opções de build enviadas junto com um arquivo compactado (campos do form ou query string)
+const parseArchiveOptions = (req) => {
+  const options = { ...req.query, ...req.body };
+
+  // Opções compostas chegam como JSON em campos de texto
+  for (const field of ['timeouts', 'access', 'securityHeaders']) {
+    if (typeof options[field] === 'string') {
+      try {
+        options[field] = JSON.parse(options[field]);
+      } catch {
+        throw new AppError(`Erro de validação: "${field}" deve ser um JSON válido`, 400);
+      }
+    }
+  }
+
+  const { error, value } = buildOptionsSchema.validate(options);
+  if (error) {
+    throw new AppError(`Erro de validação: ${error.details[0].message}`, 400);
+  }
+
+  return value;
+};
+
+// Configuração de acesso gravada no preview (a senha fica apenas como hash)
+const resolvePreviewAccess = async ({ protected: isProtected, password } = {}) => {
+  if (!isProtected && !password) {
+    return { protected: false };
+  }
+
+  return {
+    protected: true,
+    passwordHash: password ? await hashPreviewPassword(password) : undefined
+  };
+};
+
+router.post('/build', requireScope('build:create'), parseArchiveUpload, async (req, res, next) => {
+  try {
+    logger.info('Nova requisição de build recebida', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
       requestId: req.id
     });
 
+    // Verificar espaço em disco
+    const diskSpace = await checkDiskSpace();
+    if (diskSpace && diskSpace.usagePercent > 90) {
+      throw new AppError('Espaço em disco insuficiente', 507);
+    }
+
+    // Verificar as cotas do tenant antes de processar o projeto
+    const tenant = resolveTenant(req);
+    const quotaLimits = resolveQuotaLimits(req.apiKey);
+    checkBuildQuota(tenant, quotaLimits);
+
+    let files;
+    let options;
+
+    if (req.archive) {
+      // Projeto compactado: limites de quantidade e tamanho aplicados na extração
+      options = parseArchiveOptions(req);
+      ({ files } = await extractArchive(req.archive));
+    } else {
+      // Validar payload
+      const { error, value } = buildPayloadSchema.validate(req.body);
+      if (error) {
+        throw new AppError(`Erro de validação: ${error.details[0].message}`, 400);
+      }
+
+      ({ files, ...options } = value);
+
+      // Verificar número de arquivos
+      const jsonFileCount = Object.keys(files).length;
+      if (jsonFileCount > config.maxFiles) {
+        throw new AppError(`Muitos arquivos: ${jsonFileCount}. Máximo permitido: ${config.maxFiles}`, 400);
+      }
+    }
+
+    const { async: runAsync, mode, spa, timeouts } = options;
+    const access = await resolvePreviewAccess(options.access);
+    const securityHeaders = options.securityHeaders && {
+      ...options.securityHeaders,
+      frameAncestors: resolveFrameAncestors(options.securityHeaders.frameAncestors)
+    };
+    const fileCount = Object.keys(files).length;
+
+    // Validar estrutura do projeto
+    validateProjectStructure(files, { mode });
+
+    // O alias pedido não pode ser de outro tenant (verificado antes do build para não gastar a fila)
+    const existingAlias = options.alias && getAlias(options.alias);
+    if (existingAlias && !isOwnedByRequester(req, existingAlias.owner, { write: true })) {
+      throw new AppError(`Alias já pertence a outro tenant: ${options.alias}`, 409);
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const webhooks = resolveWebhookTargets({ callbackUrl: options.callbackUrl, apiKey: req.apiKey, owner: tenant });
+    const sourceHash = hashProjectFiles(files);
+    // Tudo que muda o preview publicado; o tenant entra na hash para um preview nunca ser entregue a outro dono
+    const buildHash = hashBuildInput(sourceHash, {
+      mode,
+      spa,
+      securityHeaders,
+      protected: access.protected,
+      routing: config.previewRouting,
+      owner: tenant
+    });
+
+    // Mesmos arquivos e opções de um preview ativo: responder sem build (também no modo assíncrono)
+    if (options.reuse) {
+      const cachedResult = await resolveCachedBuild({
+        buildHash,
+        unique: options.unique,
+        access,
+        securityHeaders,
+        owner: tenant,
+        alias: options.alias,
+        webhooks,
+        baseUrl,
+        hasPassword: Boolean(options.access?.password),
+        requestId: req.id
+      });
+
+      if (cachedResult) {
+        res.json({
+          success: true,
+          data: cachedResult
+        });
+        return;
+      }
+    }
+
+    // Gerar ID único para o projeto
+    const projectId = createPreviewId();
+
+    // Nova verificação sem nenhum await até o enqueue: requisições paralelas passaram juntas pela primeira
+    // enquanto os arquivos eram processados, e só uma de cada vez chega até aqui
+    checkBuildQuota(tenant, quotaLimits);
+    recordBuildStart(tenant);
+
+    const job = buildQueue.enqueue(processBuildJob, {
+      projectId,
+      projectDir: path.join(config.previewsDir, projectId),
+      files,
+      fileCount,
+      mode,
+      spa,
+      timeouts,
+      access,
+      securityHeaders,
+      routing: config.previewRouting,
+      baseUrl,
+      owner: tenant,
+      sourceHash,
+      buildHash,
+      alias: options.alias,
+      webhooks,
+      requestId: req.id
+    });
+
+    // Modo assíncrono: responder imediatamente com o ID do job
+    if (runAsync) {
+      const statusUrl = `/builds/${job.id}`;
+      res.status(202).location(statusUrl).json({
+        success: true,
+        data: {
+          jobId: job.id,
+          projectId,
+          status: job.status,
+          position: buildQueue.getPosition(job.id),
+          statusUrl
+        }
+      });
+      return;
+    }
+
+    // Modo síncrono: manter a conexão até o job terminar
+    const finishedJob = await buildQueue.waitFor(job.id);
+
+    if (finishedJob.status === 'failed') {
+      throw finishedJob.cause;
+    }
+
     res.json({
       success: true,
       data: {
-        projectId,
-        url: previewUrl,
-        projectType: buildResult.projectType,
-        buildTime: duration,
-        fileCount,
-        projectSize: Math.round(projectSize / 1024 / 1024)
+        jobId: finishedJob.id,
+        ...finishedJob.result
       }
     });
 
   } catch (error) {
-    const duration = Date.now() - startTime;
+    next(error);
+  }
+});
 
-    logger.error('Erro durante build:', {
-      projectId,
-      error: error.message,
-      duration,
+// Atualização incremental de um preview: mesmo ID e URL, com o novo build publicado só se tiver sucesso
+router.patch('/previews/:id/files', requireScope('preview:update'), async (req, res, next) => {
+  try {
+    const { error, value } = updateFilesSchema.validate(req.body);
+    if (error) {
+      throw new AppError(`Erro de validação: ${error.details[0].message}`, 400);
+    }
+
+    const { files = {}, deleted = [], async: runAsync, timeouts } = value;
+    validateProjectFiles(files);
+
+    const preview = await getPreview(req.params.id);
+    if (!preview || !isOwnedByRequester(req, preview.owner, { write: true })) {
+      throw new AppError(`Preview não encontrado: ${req.params.id}`, 404);
+    }
+    if (preview.status !== 'ready') {
+      throw new AppError(preview.status === 'building' ? 'Preview ainda está sendo gerado' : 'Preview sem metadados de build não pode ser atualizado', 409);
+    }
+
+    const runningUpdate = preview.updateJobId && buildQueue.getJob(preview.updateJobId);
+    if (runningUpdate && !isFinalPhase(runningUpdate.status)) {
+      throw new AppError('Preview já está sendo atualizado', 409);
+    }
+
+    const tenant = resolveTenant(req);
+    checkBuildQuota(tenant, resolveQuotaLimits(req.apiKey), { createsPreview: false });
+    recordBuildStart(tenant);
+
+    const job = buildQueue.enqueue(processUpdateJob, {
+      projectId: preview.id,
+      files,
+      deleted,
+      timeouts,
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      owner: tenant,
       requestId: req.id
     });
+    await previewStore.update(preview.id, { updateJobId: job.id });
 
-    // Limpar diretório em caso de erro
-    if (projectDir) {
-      try {
-        await removeDirectory(projectDir);
-        logger.debug('Diretório de projeto removido após erro', { projectId });
-      } catch (cleanupError) {
-        logger.error('Erro ao limpar diretório após falha:', {
-          projectId,
-          error: cleanupError.message
-        });
+    if (runAsync) {
+      const statusUrl = `/builds/${job.id}`;
+      res.status(202).location(statusUrl).json({
+        success: true,
+        data: {
+          jobId: job.id,
+          projectId: preview.id,
+          status: job.status,
+          position: buildQueue.getPosition(job.id),
+          statusUrl
+        }
+      });
+      return;
+    }
+
+    const finishedJob = await buildQueue.waitFor(job.id);
+
+    if (finishedJob.status === 'failed') {
+      throw finishedJob.cause;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        jobId: finishedJob.id,
+        ...finishedJob.result
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dono de um job: o da fila ou, depois que o job sai da memória, o do preview que ele gerou.
+// Sem dono conhecido, só scopes admin (ou a API sem autenticação) têm acesso
+const resolveJobOwner = (jobId) =>
+  buildQueue.getJob(jobId)?.data.owner ??
+  previewStore.all().find(record => record.jobId === jobId || record.updateJobId === jobId)?.owner ??
+  null;
+
+const isJobVisible = (req, jobId) => isOwnedByRequester(req, resolveJobOwner(jobId));
+
+// Status de um job de build
+router.get('/builds/:jobId', requireScope('build:create', 'admin:read'), (req, res, next) => {
+  const job = buildQueue.getJob(req.params.jobId);
+
+  if (!job || !isJobVisible(req, job.id)) {
+    return next(new AppError(`Job não encontrado: ${req.params.jobId}`, 404));
+  }
+
+  res.json({
+    success: true,
+    data: buildQueue.toJSON(job)
+  });
+});
+
+// Formata uma entrada de log como evento SSE
+const writeLogEvent = (res, entry) => {
+  res.write(`id: ${entry.id}\nevent: ${entry.type}\ndata: ${JSON.stringify(entry)}\n\n`);
+};
+
+// Logs de um job de build: SSE em tempo real ou texto completo (?format=text)
+router.get('/builds/:jobId/logs', requireScope('build:create', 'admin:read'), async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    if (!isJobVisible(req, jobId)) {
+      throw new AppError(`Log não encontrado para o job: ${jobId}`, 404);
+    }
+    const job = buildQueue.getJob(jobId);
+
+    if (req.query.format === 'text') {
+      const entries = await readBuildLogEntries(jobId);
+      if (!entries) {
+        throw new AppError(`Log não encontrado para o job: ${jobId}`, 404);
       }
+
+      res.type('text/plain').send(entries
+        .filter(entry => entry.type === 'output')
+        .map(entry => entry.data)
+        .join(''));
+      return;
+    }
+
+    // Jobs ainda na fila ganham o log agora para que o cliente já possa assinar
+    let log = getBuildLog(jobId);
+    if (!log && job && !isFinalPhase(job.status)) {
+      log = openBuildLog(jobId);
+    }
+
+    // Log que não está mais em memória: replay a partir do disco
+    const storedEntries = log ? null : await readBuildLogEntries(jobId);
+    if (!log && !storedEntries) {
+      throw new AppError(`Log não encontrado para o job: ${jobId}`, 404);
     }
 
+    const lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    if (!log) {
+      storedEntries
+        .filter(entry => entry.id > lastEventId)
+        .forEach(entry => writeLogEvent(res, entry));
+      res.end();
+      return;
+    }
+
+    if (log.truncated && lastEventId < log.entries[0].id) {
+      res.write(`event: truncated\ndata: ${JSON.stringify({ logUrl: `/builds/${jobId}/logs?format=text` })}\n\n`);
+    }
+
+    log.replay(lastEventId).forEach(entry => writeLogEvent(res, entry));
+
+    if (log.ended) {
+      res.end();
+      return;
+    }
+
+    // Manter a conexão viva atrás de proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    const onEntry = (entry) => {
+      writeLogEvent(res, entry);
+      if (entry.type === 'end') {
+        stop();
+        res.end();
+      }
+    };
+
+    const stop = () => {
+      clearInterval(heartbeat);
+      log.off('entry', onEntry);
+    };
+
+    log.on('entry', onEntry);
+    req.on('close', stop);
+
+  } catch (error) {
     next(error);
   }
 });
 
 export default router;
-
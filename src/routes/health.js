@@ -2,6 +2,10 @@ import express from 'express';
 import { createContextLogger } from '../utils/logger.js';
 import { checkDiskSpace, directoryExists } from '../utils/fileSystem.js';
 import { checkBuildTools } from '../services/buildService.js';
+import { getSandboxStatus } from '../services/sandbox.js';
+import { buildQueue } from '../services/buildQueue.js';
+import { getPreviewStats } from '../services/previewService.js';
+import { requireScope, isAuthEnabled } from '../middleware/auth.js';
 import config from '../config/index.js';
 import os from 'os';
 
@@ -36,7 +40,7 @@ router.get('/health', async (req, res, next) => {
     // Verificar ferramentas de build
     try {
       await checkBuildTools();
-      checks.buildTools = { available: true };
+      checks.buildTools = { available: true, sandbox: getSandboxStatus() };
     } catch (error) {
       checks.buildTools = { 
         available: false, 
@@ -79,7 +83,12 @@ router.get('/health', async (req, res, next) => {
         packageManager: config.packageManager,
         maxFiles: config.maxFiles,
         maxProjectSize: Math.round(config.maxProjectSize / 1024 / 1024),
-        buildTimeout: config.buildTimeoutMs / 1000
+        buildTimeout: config.buildTimeoutMs / 1000,
+        installTimeout: config.installTimeoutMs / 1000,
+        buildPhaseTimeout: config.buildPhaseTimeoutMs / 1000,
+        buildConcurrency: config.buildConcurrency,
+        authEnabled: isAuthEnabled(),
+        previewRouting: config.previewRouting
       }
     };
 
@@ -96,7 +105,7 @@ router.get('/health', async (req, res, next) => {
 });
 
 // Endpoint para estatísticas
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', requireScope('admin:read'), async (req, res, next) => {
   try {
     const stats = {
       timestamp: new Date().toISOString(),
@@ -104,22 +113,12 @@ router.get('/stats', async (req, res, next) => {
         uptime: Math.round(process.uptime()),
         memory: process.memoryUsage(),
         cpu: process.cpuUsage()
-      }
+      },
+      builds: buildQueue.stats()
     };
 
-    // Contar previews ativos
-    try {
-      const previewsDir = config.previewsDir;
-      if (await directoryExists(previewsDir)) {
-        const fs = await import('fs/promises');
-        const entries = await fs.readdir(previewsDir, { withFileTypes: true });
-        stats.previews = {
-          total: entries.filter(entry => entry.isDirectory()).length
-        };
-      }
-    } catch (error) {
-      stats.previews = { error: error.message };
-    }
+    // Previews registrados no store de metadados
+    stats.previews = getPreviewStats();
 
     res.json({
       success: true,
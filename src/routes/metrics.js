@@ -0,0 +1,51 @@
+import express from 'express';
+import { buildQueue } from '../services/buildQueue.js';
+import { getPreviewStats } from '../services/previewService.js';
+import { getDependencyCacheStats } from '../services/dependencyCache.js';
+import {
+  registry,
+  buildQueueDepth,
+  activeBuilds,
+  previewsGauge,
+  previewsBytes,
+  dependencyCacheBytes
+} from '../services/metrics.js';
+import { requireScope } from '../middleware/auth.js';
+
+// Atualizar os gauges de estado (fila, previews e cache de dependências) no momento da coleta
+const collectStateMetrics = () => {
+  const queue = buildQueue.stats();
+  buildQueueDepth.set(queue.queued);
+  activeBuilds.set(queue.active);
+
+  const previews = getPreviewStats();
+  previewsGauge.reset();
+  for (const [status, count] of Object.entries(previews.byStatus)) {
+    previewsGauge.set({ status }, count);
+  }
+  previewsBytes.set(previews.totalSize);
+
+  dependencyCacheBytes.set(getDependencyCacheStats().totalSize);
+};
+
+// GET /metrics em formato Prometheus. Na porta principal exige o escopo admin:read;
+// com METRICS_PORT o endpoint fica só na porta separada, sem autenticação
+export const createMetricsRouter = ({ requireAuth = true } = {}) => {
+  const router = express.Router();
+  const auth = requireAuth ? [requireScope('admin:read')] : [];
+
+  router.get('/metrics', ...auth, async (req, res, next) => {
+    try {
+      collectStateMetrics();
+
+      res.set('Content-Type', registry.contentType);
+      res.send(await registry.metrics());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default createMetricsRouter;
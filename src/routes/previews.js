@@ -0,0 +1,185 @@
+import express from 'express';
+import { createContextLogger } from '../utils/logger.js';
+import { listPreviewsQuerySchema, extendPreviewSchema, shareLinkSchema } from '../utils/validation.js';
+import { previewStore, listPreviews, getPreview, deletePreview, extendPreview } from '../services/previewService.js';
+import { getPreviewUrl } from '../services/buildService.js';
+import { listShareLinks, createShareLink, revokeShareLink } from '../services/shareLinks.js';
+import { findAliasesForPreview } from '../services/aliasService.js';
+import { resolveTenant, isOwnedByRequester } from '../services/quotaService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { requireScope, isAuthEnabled, hasAdminScope } from '../middleware/auth.js';
+
+const router = express.Router();
+const logger = createContextLogger('PreviewsRoute');
+
+const previewUrl = (req, preview) => getPreviewUrl(preview.id, preview.distDir, {
+  routing: preview.routing,
+  baseUrl: `${req.protocol}://${req.get('host')}`
+});
+
+// Preview do tenant da requisição; os de outros tenants respondem como inexistentes
+const requireOwnedPreview = (req, { write = false } = {}) => {
+  const record = previewStore.get(req.params.id);
+  if (!record || !isOwnedByRequester(req, record.owner, { write })) {
+    throw new AppError(`Preview não encontrado: ${req.params.id}`, 404);
+  }
+  return record;
+};
+
+// Representação pública de um preview, com a URL completa quando conhecida
+// (hash da senha, links de compartilhamento, regras do site e destinos de webhooks não são expostos)
+const toPreviewResponse = (req, { access, shareLinks, site, webhooks, ...preview }) => ({
+  ...preview,
+  site: site && {
+    spa: site.spa,
+    notFoundPage: site.notFoundPage,
+    redirects: site.redirects.length,
+    headers: site.headers.length
+  },
+  access: {
+    protected: Boolean(access?.protected),
+    password: Boolean(access?.passwordHash)
+  },
+  url: preview.distDir ? previewUrl(req, preview) : null
+});
+
+// Listar previews (paginado, filtrável por status e data de criação); só os do tenant, exceto para administradores
+router.get('/previews', requireScope('preview:read', 'admin:read'), async (req, res, next) => {
+  try {
+    const { error, value } = listPreviewsQuerySchema.validate(req.query);
+    if (error) {
+      throw new AppError(`Erro de validação: ${error.details[0].message}`, 400);
+    }
+
+    const owner = isAuthEnabled() && !hasAdminScope(req) ? resolveTenant(req) : undefined;
+    const { previews, pagination } = await listPreviews({ ...value, owner });
+
+    res.json({
+      success: true,
+      data: {
+        previews: previews.map(preview => toPreviewResponse(req, preview)),
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Detalhes de um preview
+router.get('/previews/:id', requireScope('preview:read', 'admin:read'), async (req, res, next) => {
+  try {
+    requireOwnedPreview(req);
+    const preview = await getPreview(req.params.id);
+    if (!preview) {
+      throw new AppError(`Preview não encontrado: ${req.params.id}`, 404);
+    }
+
+    res.json({
+      success: true,
+      data: toPreviewResponse(req, preview)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remover um preview imediatamente (ex.: PR fechado)
+router.delete('/previews/:id', requireScope('preview:delete'), async (req, res, next) => {
+  try {
+    requireOwnedPreview(req, { write: true });
+
+    // Um alias apontando para o preview passaria a responder 404: é preciso repontá-lo ou removê-lo antes
+    const aliases = findAliasesForPreview(req.params.id);
+    if (aliases.length > 0) {
+      throw new AppError(`Preview é o destino atual dos aliases: ${aliases.join(', ')}`, 409);
+    }
+
+    await deletePreview(req.params.id);
+
+    logger.info('Preview removido via API', { previewId: req.params.id, requestId: req.id });
+
+    res.json({
+      success: true,
+      data: { id: req.params.id, deleted: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Prorrogar a expiração de um preview
+router.post('/previews/:id/extend', requireScope('preview:update'), async (req, res, next) => {
+  try {
+    const { error, value } = extendPreviewSchema.validate(req.body);
+    if (error) {
+      throw new AppError(`Erro de validação: ${error.details[0].message}`, 400);
+    }
+
+    requireOwnedPreview(req, { write: true });
+    const preview = await extendPreview(req.params.id, value.ttlMs);
+
+    res.json({
+      success: true,
+      data: toPreviewResponse(req, preview)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Links de compartilhamento ativos de um preview protegido
+router.get('/previews/:id/share-links', requireScope('preview:read', 'admin:read'), (req, res, next) => {
+  try {
+    requireOwnedPreview(req);
+
+    res.json({
+      success: true,
+      data: { links: listShareLinks(req.params.id) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Criar um link assinado e com expiração para um preview protegido
+router.post('/previews/:id/share-links', requireScope('preview:update'), async (req, res, next) => {
+  try {
+    const { error, value } = shareLinkSchema.validate(req.body);
+    if (error) {
+      throw new AppError(`Erro de validação: ${error.details[0].message}`, 400);
+    }
+
+    requireOwnedPreview(req, { write: true });
+    const { link, token } = await createShareLink(req.params.id, value);
+    const preview = await getPreview(req.params.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...link,
+        token,
+        url: preview?.distDir ? `${previewUrl(req, preview)}?token=${encodeURIComponent(token)}` : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revogar um link de compartilhamento (e os cookies emitidos a partir dele)
+router.delete('/previews/:id/share-links/:linkId', requireScope('preview:update'), async (req, res, next) => {
+  try {
+    requireOwnedPreview(req, { write: true });
+    await revokeShareLink(req.params.id, req.params.linkId);
+
+    res.json({
+      success: true,
+      data: { id: req.params.linkId, revoked: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { requireScope } from '../middleware/auth.js';
+import { resolveTenant, resolveQuotaLimits, getQuotaUsage } from '../services/quotaService.js';
+
+const router = express.Router();
+
+// Uso atual das cotas do tenant da chave (qualquer chave válida pode consultar as próprias cotas)
+router.get('/quota', requireScope(), (req, res) => {
+  const tenant = resolveTenant(req);
+
+  res.json({
+    success: true,
+    data: {
+      tenant,
+      quotas: getQuotaUsage(tenant, resolveQuotaLimits(req.apiKey))
+    }
+  });
+});
+
+export default router;
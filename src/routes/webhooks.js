@@ -0,0 +1,39 @@
+import express from 'express';
+import { listDeliveriesQuerySchema } from '../utils/validation.js';
+import { listDeliveries, getDelivery } from '../services/webhookService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { resolveTenant, isOwnedByRequester } from '../services/quotaService.js';
+import { requireScope, isAuthEnabled, hasAdminScope } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Histórico de entregas de webhooks (filtrável por preview, evento e status)
+router.get('/webhooks/deliveries', requireScope('preview:read', 'admin:read'), (req, res, next) => {
+  const { error, value } = listDeliveriesQuerySchema.validate(req.query);
+  if (error) {
+    return next(new AppError(`Erro de validação: ${error.details[0].message}`, 400));
+  }
+
+  // Sem scope admin, só as entregas dos builds do próprio tenant
+  const owner = isAuthEnabled() && !hasAdminScope(req) ? resolveTenant(req) : undefined;
+
+  res.json({
+    success: true,
+    data: listDeliveries({ ...value, owner })
+  });
+});
+
+// Detalhes de uma entrega, com o payload enviado e todas as tentativas
+router.get('/webhooks/deliveries/:deliveryId', requireScope('preview:read', 'admin:read'), (req, res, next) => {
+  const delivery = getDelivery(req.params.deliveryId);
+  if (!delivery || !isOwnedByRequester(req, delivery.owner)) {
+    return next(new AppError(`Entrega não encontrada: ${req.params.deliveryId}`, 404));
+  }
+
+  res.json({
+    success: true,
+    data: delivery
+  });
+});
+
+export default router;
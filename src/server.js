@@ -6,13 +6,28 @@ import path from 'path';
 // Importações locais
 import config from './config/index.js';
 import logger, { createContextLogger } from './utils/logger.js';
-import { ensureDirectory, cleanupOldPreviews } from './utils/fileSystem.js';
+import { ensureDirectory } from './utils/fileSystem.js';
+import { cleanupOldBuildLogs } from './services/buildLogs.js';
+import { reconcilePreviews, cleanupOldPreviews, previewStore } from './services/previewService.js';
+import { loadWebhookDeliveries, pruneWebhookDeliveries, stopWebhookDeliveries } from './services/webhookService.js';
+import { loadDependencyCache, cacheStore } from './services/dependencyCache.js';
+import { cleanupUpdateWorkDirs } from './services/previewUpdate.js';
+import { initializeSandbox } from './services/sandbox.js';
+import { loadAliases, getRetainedPreviewIds, aliasStore } from './services/aliasService.js';
+import { loadApiKeys } from './middleware/auth.js';
+import { previewAccess } from './middleware/previewAccess.js';
+import { createPreviewHostRouter, isPreviewRequest } from './middleware/previewHost.js';
+import { createPreviewAliasRouter } from './middleware/previewAlias.js';
+import { previewSecurityHeaders } from './middleware/previewHeaders.js';
+import { previewCompression, previewCacheControl } from './middleware/previewCompression.js';
+import { previewSiteRules, previewSiteFallback } from './middleware/previewSite.js';
 import { 
   errorHandler, 
   notFoundHandler, 
   requestId 
 } from './middleware/errorHandler.js';
 import { 
+  loadRateLimitStoreFactory,
   createRateLimit, 
   helmetConfig, 
   validateContentType, 
@@ -23,6 +38,13 @@ import {
 // Rotas
 import healthRoutes from './routes/health.js';
 import buildRoutes from './routes/build.js';
+import previewRoutes from './routes/previews.js';
+import aliasRoutes from './routes/aliases.js';
+import quotaRoutes from './routes/quota.js';
+import webhookRoutes from './routes/webhooks.js';
+import adminRoutes from './routes/admin.js';
+import { createMetricsRouter } from './routes/metrics.js';
+import { httpMetrics } from './services/metrics.js';
 
 const serverLogger = createContextLogger('Server');
 
@@ -30,13 +52,44 @@ class PreviewServer {
   constructor() {
     this.app = express();
     this.server = null;
+    this.metricsServer = null;
     this.cleanupInterval = null;
+    this.rateLimitStoreFactory = null;
+    this.previewRateLimit = null;
   }
 
   async initialize() {
     try {
+      if (config.previewRouting === 'host' && !config.previewHostSuffix) {
+        throw new Error('PREVIEW_ROUTING=host requer PREVIEW_HOST_SUFFIX');
+      }
+
       // Criar diretórios necessários
       await this.createDirectories();
+
+      // Isolamento dos comandos de instalação e build (bubblewrap ou basic)
+      await initializeSandbox();
+
+      // Carregar metadados dos previews e sincronizar com o disco
+      await reconcilePreviews();
+      await cleanupUpdateWorkDirs();
+
+      // Aliases (/p/<nome>/) e históricos
+      await loadAliases();
+
+      // Carregar chaves de API (sem chaves, a autenticação fica desativada)
+      await loadApiKeys();
+
+      // Histórico de webhooks e retomada das entregas pendentes
+      await loadWebhookDeliveries();
+
+      // Índice do cache de dependências, sincronizado com o disco
+      if (config.dependencyCache.enabled) {
+        await loadDependencyCache();
+      }
+
+      // Store compartilhado do rate limiting, se configurado
+      this.rateLimitStoreFactory = await loadRateLimitStoreFactory();
       
       // Configurar middleware
       this.setupMiddleware();
@@ -60,7 +113,8 @@ class PreviewServer {
   async createDirectories() {
     const directories = [
       config.previewsDir,
-      config.logsDir
+      config.logsDir,
+      config.buildLogsDir
     ];
 
     for (const dir of directories) {
@@ -78,8 +132,11 @@ class PreviewServer {
     // Request ID
     this.app.use(requestId);
 
-    // Segurança
-    this.app.use(helmetConfig);
+    // Latência HTTP por rota (GET /metrics)
+    this.app.use(httpMetrics);
+
+    // Segurança (os previews usam a própria política de headers, em setupRoutes)
+    this.app.use((req, res, next) => isPreviewRequest(req) ? next() : helmetConfig(req, res, next));
     this.app.use(sanitizeHeaders);
     this.app.use(securityLogger);
 
@@ -87,12 +144,21 @@ class PreviewServer {
     this.app.use(cors({
       origin: config.corsOrigin,
       credentials: true,
-      methods: ['GET', 'POST', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID']
+      methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-ID']
     }));
 
-    // Rate limiting
-    this.app.use(createRateLimit());
+    // Rate limiting por grupo de rotas
+    const rateLimitFor = (policy) => createRateLimit(policy, {
+      store: this.rateLimitStoreFactory?.(policy)
+    });
+    // Atualizações incrementais também executam builds e dividem o limite com POST /build
+    const buildRateLimit = rateLimitFor('build');
+    this.app.post('/build', buildRateLimit);
+    this.app.patch('/previews/:id/files', buildRateLimit);
+    this.app.use(['/builds', '/previews', '/aliases', '/stats', '/quota', '/webhooks', '/metrics', '/admin'], rateLimitFor('management'));
+    this.previewRateLimit = rateLimitFor('preview');
+    this.app.use(['/preview', '/p'], this.previewRateLimit);
 
     // Body parsing
     this.app.use(express.json({ 
@@ -117,26 +183,71 @@ class PreviewServer {
   }
 
   setupRoutes() {
-    // Rotas de health
-    this.app.use('/', healthRoutes);
-    
-    // Rotas de build
-    this.app.use('/', buildRoutes);
-
-    // Servir arquivos estáticos de preview
-    this.app.use('/preview', express.static(config.previewsDir, {
+    const previewStatic = express.static(config.previewsDir, {
       maxAge: '1h',
       etag: true,
       lastModified: true,
       setHeaders: (res, path) => {
-        // Configurar headers para diferentes tipos de arquivo
-        if (path.endsWith('.html')) {
-          res.setHeader('Cache-Control', 'no-cache');
-        } else if (path.match(/\.(js|css|png|jpg|jpeg|gif|svg|ico|woff|woff2)$/)) {
-          res.setHeader('Cache-Control', 'public, max-age=3600');
+        // Variantes .br/.gz seguem as regras do arquivo original
+        const filePath = res.getHeader('Content-Encoding') ? path.replace(/\.(br|gz)$/, '') : path;
+        const isAlias = Boolean(res.req.previewAlias);
+
+        // HTML revalida, assets com hash são imutáveis (se o _headers do preview não definiu)
+        if (!res.getHeader('Cache-Control')) {
+          res.setHeader('Cache-Control', previewCacheControl(filePath, { isAlias }));
+        }
+
+        // Previews protegidos não podem ficar em caches compartilhados
+        if (res.locals.previewProtected) {
+          res.setHeader('Cache-Control', previewCacheControl(filePath, { isPrivate: true, isAlias }));
         }
       }
-    }));
+    });
+
+    // Headers de segurança, acesso, regras do site (_headers/_redirects), variantes .br/.gz, arquivos e fallback (SPA/404.html)
+    const previewHandlers = [
+      previewSecurityHeaders,
+      previewAccess,
+      previewSiteRules,
+      previewCompression,
+      previewStatic,
+      previewSiteFallback
+    ];
+
+    // Previews por subdomínio (<id>.PREVIEW_HOST_SUFFIX), antes das rotas da API
+    if (config.previewRouting === 'host') {
+      this.app.use(createPreviewHostRouter(this.previewRateLimit, ...previewHandlers));
+    }
+
+    // Rotas de health
+    this.app.use('/', healthRoutes);
+    
+    // Rotas de build
+    this.app.use('/', buildRoutes);
+
+    // Gerenciamento de previews
+    this.app.use('/', previewRoutes);
+
+    // Aliases com URL fixa
+    this.app.use('/', aliasRoutes);
+
+    // Cotas do tenant
+    this.app.use('/', quotaRoutes);
+
+    // Histórico de entregas de webhooks
+    this.app.use('/', webhookRoutes);
+
+    // Administração (cache de dependências)
+    this.app.use('/', adminRoutes);
+
+    // Métricas Prometheus (com METRICS_PORT, ficam só na porta separada)
+    if (!config.metricsPort) {
+      this.app.use('/', createMetricsRouter());
+    }
+
+    // Servir arquivos estáticos de preview (previews protegidos exigem link ou senha)
+    this.app.use('/preview', ...previewHandlers);
+    this.app.use('/p', createPreviewAliasRouter(...previewHandlers));
   }
 
   setupErrorHandling() {
@@ -164,16 +275,20 @@ class PreviewServer {
   }
 
   setupCleanup() {
-    // Limpeza inicial
-    cleanupOldPreviews().catch(error => {
+    // Limpeza inicial (previews recentes do histórico dos aliases são mantidos)
+    cleanupOldPreviews({ retainedIds: getRetainedPreviewIds() }).catch(error => {
       serverLogger.error('Erro na limpeza inicial:', { error: error.message });
     });
+    cleanupOldBuildLogs();
+    pruneWebhookDeliveries();
 
     // Limpeza periódica
     this.cleanupInterval = setInterval(() => {
-      cleanupOldPreviews().catch(error => {
+      cleanupOldPreviews({ retainedIds: getRetainedPreviewIds() }).catch(error => {
         serverLogger.error('Erro na limpeza periódica:', { error: error.message });
       });
+      cleanupOldBuildLogs();
+      pruneWebhookDeliveries();
     }, config.cleanupIntervalMs);
 
     serverLogger.info('Limpeza automática configurada', {
@@ -195,6 +310,18 @@ class PreviewServer {
         });
       });
 
+      // Porta separada para o scraping das métricas (ex.: rede interna)
+      if (config.metricsPort) {
+        const metricsApp = express();
+        metricsApp.use(createMetricsRouter({ requireAuth: false }));
+        metricsApp.use(notFoundHandler);
+        metricsApp.use(errorHandler);
+
+        this.metricsServer = metricsApp.listen(config.metricsPort, config.metricsHost, () => {
+          serverLogger.info('Endpoint de métricas iniciado', { port: config.metricsPort, host: config.metricsHost });
+        });
+      }
+
       return this.server;
     } catch (error) {
       serverLogger.error('Erro ao iniciar servidor:', { error: error.message });
@@ -211,6 +338,7 @@ class PreviewServer {
         serverLogger.info('Servidor HTTP fechado');
       });
     }
+    this.metricsServer?.close();
 
     // Limpar interval de limpeza
     if (this.cleanupInterval) {
@@ -219,7 +347,11 @@ class PreviewServer {
     }
 
     // Aguardar um pouco para requisições em andamento
-    setTimeout(() => {
+    setTimeout(async () => {
+      await previewStore.flush();
+      await aliasStore.flush();
+      await stopWebhookDeliveries();
+      await cacheStore.flush();
       serverLogger.info('Shutdown concluído');
       process.exit(0);
     }, 5000);
@@ -0,0 +1,20 @@
+import { configCandidates } from './project.js';
+
+// Astro (saída estática)
+export default {
+  name: 'astro',
+
+  detect(project) {
+    return Boolean(project.findFile(configCandidates('astro.config'))) || project.hasDependency('astro');
+  },
+
+  outputDir: 'dist',
+
+  // A CLI do Astro aceita base e outDir como flags, sem tocar no astro.config
+  buildCommand(project, { basePath, outputDir }) {
+    return {
+      bin: 'astro',
+      args: ['build', '--base', basePath, '--outDir', outputDir]
+    };
+  }
+};
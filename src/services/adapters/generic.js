@@ -0,0 +1,37 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Diretórios de saída mais comuns, na ordem de preferência
+const OUTPUT_CANDIDATES = ['dist', 'build', 'out'];
+
+// Qualquer projeto com script "build" que não foi reconhecido pelos demais adapters
+export default {
+  name: 'generic',
+
+  detect(project) {
+    return Boolean(project.scripts.build);
+  },
+
+  outputDir: 'dist',
+
+  // Uma ferramenta desconhecida não tem config que possa ser envolvida: o base vai em BASE_PATH
+  // (como em todos os adapters) e em PUBLIC_URL, lida pelo Create React App
+  buildCommand(project, { basePath }) {
+    return {
+      command: 'npm',
+      args: ['run', 'build'],
+      env: { PUBLIC_URL: basePath }
+    };
+  },
+
+  // O diretório real só é conhecido depois do build
+  async resolveOutputDir(project) {
+    for (const candidate of OUTPUT_CANDIDATES) {
+      const stats = await fs.stat(path.join(project.dir, candidate)).catch(() => null);
+      if (stats?.isDirectory()) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+};
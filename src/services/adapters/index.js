@@ -0,0 +1,55 @@
+import { loadProject } from './project.js';
+import sveltekitAdapter from './sveltekit.js';
+import astroAdapter from './astro.js';
+import nextAdapter from './next.js';
+import viteAdapter from './vite.js';
+import staticAdapter from './static.js';
+import genericAdapter from './generic.js';
+
+// Adapters avaliados em ordem: os mais específicos primeiro
+// (um projeto SvelteKit também tem vite.config, um Astro também depende de vite)
+const adapters = [
+  sveltekitAdapter,
+  astroAdapter,
+  nextAdapter,
+  viteAdapter,
+  staticAdapter,
+  genericAdapter
+];
+
+// Registrar um adapter novo; por padrão antes do fallback genérico
+export const registerAdapter = (adapter, { before = 'generic' } = {}) => {
+  // Opcionais: framework(), prepareBuild(), resolveOutputDir(), postBuild() e requiresInstall
+  if (!adapter?.name || typeof adapter.detect !== 'function' || typeof adapter.buildCommand !== 'function') {
+    throw new Error('Adapter deve definir name, detect() e buildCommand()');
+  }
+
+  if (adapters.some(existing => existing.name === adapter.name)) {
+    throw new Error(`Adapter já registrado: ${adapter.name}`);
+  }
+
+  const index = adapters.findIndex(existing => existing.name === before);
+  adapters.splice(index === -1 ? adapters.length : index, 0, adapter);
+};
+
+export const getAdapters = () => [...adapters];
+
+export const getAdapter = (name) => adapters.find(adapter => adapter.name === name) || null;
+
+// Encontrar o adapter que reconhece o projeto
+export const detectAdapter = async (projectDir) => {
+  const project = await loadProject(projectDir);
+  const adapter = adapters.find(candidate => candidate.detect(project)) || null;
+
+  return { adapter, project };
+};
+
+export { loadProject };
+
+export default {
+  registerAdapter,
+  getAdapters,
+  getAdapter,
+  detectAdapter,
+  loadProject
+};
@@ -0,0 +1,47 @@
+import { configCandidates, wrapConfigFile, trimBasePath } from './project.js';
+
+// Next.js exportado como site estático (output: 'export')
+export default {
+  name: 'next',
+
+  detect(project) {
+    return project.hasDependency('next');
+  },
+
+  framework: () => 'react',
+
+  outputDir: 'out',
+
+  // basePath e assetPrefix só existem no next.config: durante o build um next.config.mjs gerado importa
+  // o do usuário (objeto ou função) e sobrescreve esses valores e o output. Configs em TypeScript não
+  // podem ser importadas pelo wrapper e ficam como estão (o base continua exposto em BASE_PATH)
+  prepareBuild(project, { basePath }) {
+    if (project.findFile(['next.config.ts', 'next.config.mts'])) {
+      return null;
+    }
+
+    const base = JSON.stringify(trimBasePath(basePath));
+
+    return wrapConfigFile(project, {
+      candidates: configCandidates('next.config').filter(name => /\.[cm]?js$/.test(name)),
+      wrapper: 'next.config.mjs',
+      render: (userConfig) => [
+        '// Gerado pelo servidor de previews durante o build',
+        userConfig ? `import userConfig from ${JSON.stringify(userConfig)};` : 'const userConfig = {};',
+        '',
+        'export default async (phase, context) => {',
+        "  const config = typeof userConfig === 'function' ? await userConfig(phase, context) : await userConfig;",
+        `  return { ...config, output: 'export', basePath: ${base}, assetPrefix: ${base} };`,
+        '};',
+        ''
+      ].join('\n')
+    });
+  },
+
+  buildCommand() {
+    return {
+      bin: 'next',
+      args: ['build']
+    };
+  }
+};
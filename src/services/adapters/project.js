@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Contexto de um projeto usado pelos adapters para detecção e build
+export const loadProject = async (projectDir) => {
+  const entries = await fs.readdir(projectDir).catch(() => []);
+  const rootFiles = new Set(entries);
+
+  let packageJson = null;
+  if (rootFiles.has('package.json')) {
+    try {
+      packageJson = JSON.parse(await fs.readFile(path.join(projectDir, 'package.json'), 'utf8'));
+    } catch {
+      packageJson = null;
+    }
+  }
+
+  const dependencies = {
+    ...(packageJson?.dependencies || {}),
+    ...(packageJson?.devDependencies || {})
+  };
+
+  return {
+    dir: projectDir,
+    packageJson,
+    scripts: packageJson?.scripts || {},
+    hasFile: (name) => rootFiles.has(name),
+    // Primeiro arquivo existente entre os candidatos (ex.: vite.config.js, vite.config.ts)
+    findFile: (candidates) => candidates.find(name => rootFiles.has(name)) || null,
+    hasDependency: (name) => Object.prototype.hasOwnProperty.call(dependencies, name)
+  };
+};
+
+// Nomes de arquivo de configuração aceitos para um prefixo (ex.: vite.config)
+export const configCandidates = (prefix) =>
+  ['js', 'mjs', 'cjs', 'ts', 'mts', 'cts'].map(ext => `${prefix}.${ext}`);
+
+// Trocar a config do usuário por uma gerada durante o build, para frameworks que não aceitam o base path
+// por flag: a original vira "<nome>.user.<ext>" e o wrapper (render) a importa e sobrescreve só o necessário.
+// Devolve a função que desfaz a troca, chamada depois do build
+export const wrapConfigFile = async (project, { candidates, wrapper, render }) => {
+  const original = project.findFile(candidates);
+  const userFile = original && original.replace(/(\.[cm]?[jt]s)$/, '.user$1');
+
+  if (original) {
+    await fs.rename(path.join(project.dir, original), path.join(project.dir, userFile));
+  }
+
+  try {
+    await fs.writeFile(path.join(project.dir, wrapper), render(userFile && `./${userFile}`), 'utf8');
+  } catch (error) {
+    if (original) {
+      await fs.rename(path.join(project.dir, userFile), path.join(project.dir, original));
+    }
+    throw error;
+  }
+
+  return async () => {
+    await fs.rm(path.join(project.dir, wrapper), { force: true });
+    if (original) {
+      await fs.rename(path.join(project.dir, userFile), path.join(project.dir, original));
+    }
+  };
+};
+
+// Base path no formato dos arquivos de configuração: sem a barra final e vazio na raiz
+export const trimBasePath = (basePath) => basePath.replace(/\/$/, '');
+
+export default { loadProject, configCandidates, wrapConfigFile, trimBasePath };
@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Arquivos cujas URLs absolutas precisam apontar para o prefixo do preview
+const REWRITABLE_EXTENSIONS = ['.html', '.htm', '.css'];
+
+// Atributos HTML com URL ("/x" vira "<basePath>x"; "//cdn" fica intacto)
+const HTML_URL_ATTRIBUTE = /(\b(?:src|href|action|poster|data)\s*=\s*["'])\/(?!\/)/gi;
+const HTML_SRCSET = /(\bsrcset\s*=\s*["'])([^"']*)(["'])/gi;
+const CSS_URL = /(url\(\s*["']?)\/(?!\/)/gi;
+const CSS_IMPORT = /(@import\s+["'])\/(?!\/)/gi;
+
+// Prefixo do preview em uma URL "/x", exceto se ela já tiver o prefixo: a reescrita roda de novo
+// sobre os mesmos arquivos nas atualizações incrementais (PATCH /previews/:id/files)
+const prefixRootUrl = (basePath) => (match, prefix, offset, content) =>
+  content.startsWith(basePath, offset + prefix.length) ? match : `${prefix}${basePath}`;
+
+export const rewriteRootRelativeUrls = (content, extension, basePath) => {
+  let rewritten = content
+    .replace(CSS_URL, prefixRootUrl(basePath))
+    .replace(CSS_IMPORT, prefixRootUrl(basePath));
+
+  if (extension !== '.css') {
+    rewritten = rewritten
+      .replace(HTML_URL_ATTRIBUTE, prefixRootUrl(basePath))
+      .replace(HTML_SRCSET, (match, open, value, close) => {
+        const candidates = value.split(',').map(candidate =>
+          candidate.trimStart().startsWith(basePath) ? candidate : candidate.replace(/^(\s*)\/(?!\/)/, `$1${basePath}`)
+        );
+        return `${open}${candidates.join(',')}${close}`;
+      });
+  }
+
+  return rewritten;
+};
+
+const collectRewritableFiles = async (dir) => {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && entry.name !== 'node_modules') {
+      files.push(...await collectRewritableFiles(entryPath));
+    } else if (entry.isFile() && REWRITABLE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+};
+
+// HTML estático: publicado como está, sem instalação nem build
+export default {
+  name: 'static',
+
+  requiresInstall: false,
+
+  detect(project) {
+    return project.hasFile('index.html') && !project.scripts.build;
+  },
+
+  framework: () => 'html',
+
+  outputDir: '.',
+
+  buildCommand() {
+    return null;
+  },
+
+  // URLs absolutas ("/style.css") quebrariam sob /preview/:id/ (servido na raiz, nada muda)
+  async postBuild(project, { basePath, outputDir }) {
+    if (basePath === '/') {
+      return;
+    }
+
+    const files = await collectRewritableFiles(path.join(project.dir, outputDir));
+
+    for (const filePath of files) {
+      const content = await fs.readFile(filePath, 'utf8');
+      const rewritten = rewriteRootRelativeUrls(content, path.extname(filePath).toLowerCase(), basePath);
+
+      if (rewritten !== content) {
+        await fs.writeFile(filePath, rewritten, 'utf8');
+      }
+    }
+  }
+};
@@ -0,0 +1,41 @@
+import { wrapConfigFile, trimBasePath } from './project.js';
+
+// SvelteKit com @sveltejs/adapter-static
+export default {
+  name: 'sveltekit',
+
+  detect(project) {
+    return project.hasDependency('@sveltejs/kit') && project.hasDependency('@sveltejs/adapter-static');
+  },
+
+  framework: () => 'svelte',
+
+  // Padrão do adapter-static
+  outputDir: 'build',
+
+  // SvelteKit só lê kit.paths.base do svelte.config.js e não tem flag para ele: durante o build
+  // um svelte.config.js gerado importa o do usuário e sobrescreve apenas o base
+  prepareBuild(project, { basePath }) {
+    return wrapConfigFile(project, {
+      candidates: ['svelte.config.js'],
+      wrapper: 'svelte.config.js',
+      render: (userConfig) => [
+        '// Gerado pelo servidor de previews durante o build',
+        userConfig ? `import userConfig from ${JSON.stringify(userConfig)};` : 'const userConfig = {};',
+        '',
+        'export default {',
+        '  ...userConfig,',
+        `  kit: { ...userConfig.kit, paths: { ...userConfig.kit?.paths, base: ${JSON.stringify(trimBasePath(basePath))} } }`,
+        '};',
+        ''
+      ].join('\n')
+    });
+  },
+
+  buildCommand() {
+    return {
+      bin: 'vite',
+      args: ['build']
+    };
+  }
+};
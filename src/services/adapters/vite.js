@@ -0,0 +1,32 @@
+import { configCandidates } from './project.js';
+
+// Plugins oficiais usados para identificar o framework de um projeto Vite
+const FRAMEWORK_PLUGINS = [
+  ['react', ['@vitejs/plugin-react', '@vitejs/plugin-react-swc']],
+  ['vue', ['@vitejs/plugin-vue']],
+  ['svelte', ['@sveltejs/vite-plugin-svelte']]
+];
+
+// Vite com React, Vue, Svelte ou vanilla
+export default {
+  name: 'vite',
+
+  detect(project) {
+    return Boolean(project.findFile(configCandidates('vite.config'))) || project.hasDependency('vite');
+  },
+
+  framework(project) {
+    const match = FRAMEWORK_PLUGINS.find(([, plugins]) => plugins.some(plugin => project.hasDependency(plugin)));
+    return match ? match[0] : 'vanilla';
+  },
+
+  outputDir: 'dist',
+
+  // --base e --outDir sobrescrevem o vite.config sem alterá-lo
+  buildCommand(project, { basePath, outputDir }) {
+    return {
+      bin: 'vite',
+      args: ['build', '--base', basePath, '--outDir', outputDir]
+    };
+  }
+};
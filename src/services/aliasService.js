@@ -0,0 +1,131 @@
+import { createContextLogger } from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { MetadataStore } from './metadataStore.js';
+import { previewStore } from './previewService.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('AliasService');
+
+// Cada alias aponta para um preview e guarda os destinos anteriores em "history", do mais recente
+// para o mais antigo (history[0] é sempre o destino atual)
+export const aliasStore = new MetadataStore(config.aliasesFile);
+
+export const loadAliases = async () => {
+  await aliasStore.load();
+  await aliasStore.compact();
+  logger.info('Aliases carregados', { total: aliasStore.all().length });
+};
+
+// URL fixa do alias, servida pelo destino atual
+export const getAliasUrl = (name, baseUrl) => `${baseUrl}/p/${name}/`;
+
+export const getAlias = (name) => aliasStore.get(name) || null;
+
+export const listAliases = () =>
+  aliasStore.all().sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+
+// Só previews prontos podem ser destino de um alias
+const requireReadyPreview = (previewId) => {
+  const record = previewStore.get(previewId);
+  if (!record) {
+    throw new AppError(`Preview não encontrado: ${previewId}`, 404);
+  }
+  if (record.status !== 'ready') {
+    throw new AppError(`Preview ${previewId} não está pronto (status: ${record.status})`, 409);
+  }
+  return record;
+};
+
+const repoint = async (name, previewId, { owner, action }) => {
+  requireReadyPreview(previewId);
+
+  const existing = getAlias(name);
+  if (existing?.previewId === previewId) {
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  const entry = { previewId, pointedAt: now, action };
+  const alias = {
+    id: name,
+    createdAt: now,
+    owner,
+    ...existing,
+    previewId,
+    history: [entry, ...(existing?.history || [])].slice(0, config.aliasHistoryLimit),
+    updatedAt: now
+  };
+
+  await aliasStore.put(alias);
+  logger.info('Alias apontado para novo preview', { alias: name, previewId, previous: existing?.previewId, action });
+
+  return alias;
+};
+
+// Criar o alias ou apontá-lo para outro preview (sem efeito se já for o destino atual)
+export const pointAlias = (name, previewId, { owner } = {}) =>
+  repoint(name, previewId, { owner, action: getAlias(name) ? 'repoint' : 'create' });
+
+// Voltar o alias para um destino anterior: um preview do histórico ou, com "steps", o N-ésimo
+// preview distinto antes do atual. O rollback também entra no histórico
+export const rollbackAlias = async (name, { previewId, steps = 1 } = {}) => {
+  const alias = getAlias(name);
+  if (!alias) {
+    throw new AppError(`Alias não encontrado: ${name}`, 404);
+  }
+
+  const previous = [...new Set(alias.history.map(entry => entry.previewId))].filter(id => id !== alias.previewId);
+  const target = previewId || previous[steps - 1];
+
+  if (!target || !previous.includes(target)) {
+    throw new AppError(
+      previewId ? `Preview ${previewId} não está no histórico do alias` : 'Histórico do alias não tem destino anterior para o rollback',
+      409
+    );
+  }
+  if (!previewStore.get(target)) {
+    throw new AppError(`Preview ${target} do histórico já foi removido`, 409);
+  }
+
+  return repoint(name, target, { owner: alias.owner, action: 'rollback' });
+};
+
+export const deleteAlias = async (name) => {
+  if (!getAlias(name)) {
+    throw new AppError(`Alias não encontrado: ${name}`, 404);
+  }
+
+  await aliasStore.delete(name);
+  logger.info('Alias removido', { alias: name });
+};
+
+// Aliases que apontam para o preview agora
+export const findAliasesForPreview = (previewId) =>
+  aliasStore.all().filter(alias => alias.previewId === previewId).map(alias => alias.id);
+
+// Previews nas ALIAS_RETAINED_VERSIONS entradas mais recentes de cada histórico, que a limpeza
+// automática mantém mesmo depois de expirados (para o rollback continuar possível)
+export const getRetainedPreviewIds = () => {
+  const retained = new Set();
+
+  for (const alias of aliasStore.all()) {
+    for (const entry of alias.history.slice(0, config.aliasRetainedVersions)) {
+      retained.add(entry.previewId);
+    }
+  }
+
+  return retained;
+};
+
+export default {
+  aliasStore,
+  loadAliases,
+  getAliasUrl,
+  getAlias,
+  listAliases,
+  pointAlias,
+  rollbackAlias,
+  deleteAlias,
+  findAliasesForPreview,
+  getRetainedPreviewIds
+};
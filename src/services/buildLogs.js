@@ -0,0 +1,178 @@
+import { EventEmitter } from 'events';
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { createContextLogger } from '../utils/logger.js';
+import { isSafeId } from '../utils/validation.js';
+import { AppError } from '../middleware/errorHandler.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('BuildLogs');
+
+// Logs ativos em memória, indexados pelo ID do job
+const activeLogs = new Map();
+
+export const getBuildLogPath = (jobId) => {
+  if (!isSafeId(jobId)) {
+    throw new AppError(`ID de job inválido: ${jobId}`, 400);
+  }
+
+  return path.join(config.buildLogsDir, `${jobId}.jsonl`);
+};
+
+// Log de um job de build: mantém um buffer para replay e grava tudo em disco (JSON lines)
+export class BuildLog extends EventEmitter {
+  constructor(jobId, { maxBufferBytes = config.buildLogBufferBytes } = {}) {
+    super();
+    this.jobId = jobId;
+    this.phase = 'queued';
+    this.entries = [];
+    this.seq = 0;
+    this.bufferBytes = 0;
+    this.maxBufferBytes = maxBufferBytes;
+    this.truncated = false;
+    this.ended = false;
+    this.file = createWriteStream(getBuildLogPath(jobId), { flags: 'a' });
+
+    this.file.on('error', (error) => {
+      logger.error('Erro ao gravar log de build em disco', { jobId, error: error.message });
+    });
+
+    // Vários clientes SSE podem acompanhar o mesmo build
+    this.setMaxListeners(0);
+  }
+
+  append(type, payload) {
+    if (this.ended) {
+      return null;
+    }
+
+    const entry = {
+      id: ++this.seq,
+      type,
+      at: new Date().toISOString(),
+      ...payload
+    };
+
+    this.file.write(`${JSON.stringify(entry)}\n`);
+
+    this.entries.push(entry);
+    this.bufferBytes += entry.data ? Buffer.byteLength(entry.data) : 0;
+
+    // Descartar o início do buffer; o log completo continua em disco
+    while (this.bufferBytes > this.maxBufferBytes && this.entries.length > 1) {
+      const dropped = this.entries.shift();
+      this.bufferBytes -= dropped.data ? Buffer.byteLength(dropped.data) : 0;
+      this.truncated = true;
+    }
+
+    this.emit('entry', entry);
+    return entry;
+  }
+
+  setPhase(phase) {
+    this.phase = phase;
+    this.append('phase', { phase });
+  }
+
+  write(stream, data) {
+    this.append('output', { phase: this.phase, stream, data });
+  }
+
+  exit(command, code, signal = null) {
+    this.append('exit', { phase: this.phase, command, code, signal });
+  }
+
+  end(status, error = null) {
+    this.append('end', { status, error });
+    this.ended = true;
+    this.file.end();
+    this.emit('end');
+  }
+
+  // Entradas do buffer posteriores ao ID informado (para Last-Event-ID)
+  replay(afterId = 0) {
+    return this.entries.filter(entry => entry.id > afterId);
+  }
+}
+
+// Retorna o log ativo do job, criando-o se necessário
+export const openBuildLog = (jobId) => {
+  if (activeLogs.has(jobId)) {
+    return activeLogs.get(jobId);
+  }
+
+  const log = new BuildLog(jobId);
+  activeLogs.set(jobId, log);
+
+  // Liberar a memória junto com o status do job
+  log.once('end', () => {
+    const timer = setTimeout(() => activeLogs.delete(jobId), config.buildJobTtlMs);
+    timer.unref();
+  });
+
+  return log;
+};
+
+export const getBuildLog = (jobId) => activeLogs.get(jobId) || null;
+
+// Ler o log completo gravado em disco
+export const readBuildLogEntries = async (jobId) => {
+  try {
+    const content = await fs.readFile(getBuildLogPath(jobId), 'utf8');
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Remover logs de build mais antigos que o tempo de vida dos previews
+export const cleanupOldBuildLogs = async () => {
+  try {
+    const entries = await fs.readdir(config.buildLogsDir, { withFileTypes: true });
+    const now = Date.now();
+    let cleanedCount = 0;
+
+    for (const entry of entries) {
+      if (!entry.isFile() || !entry.name.endsWith('.jsonl')) {
+        continue;
+      }
+
+      const jobId = path.basename(entry.name, '.jsonl');
+      if (activeLogs.has(jobId)) {
+        continue;
+      }
+
+      const filePath = path.join(config.buildLogsDir, entry.name);
+      const stats = await fs.stat(filePath);
+
+      if (now - stats.mtimeMs > config.previewMaxAgeMs) {
+        await fs.rm(filePath, { force: true });
+        cleanedCount++;
+      }
+    }
+
+    if (cleanedCount > 0) {
+      logger.info(`Limpeza de logs de build concluída: ${cleanedCount} arquivos removidos`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Erro durante limpeza de logs de build:', { error: error.message });
+    }
+  }
+};
+
+export default {
+  BuildLog,
+  openBuildLog,
+  getBuildLog,
+  getBuildLogPath,
+  readBuildLogEntries,
+  cleanupOldBuildLogs
+};
@@ -0,0 +1,189 @@
+import { EventEmitter } from 'events';
+import { nanoid } from 'nanoid';
+import { createContextLogger } from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('BuildQueue');
+
+// Fases de um job de build, na ordem em que normalmente acontecem
+export const JOB_PHASES = ['queued', 'writing', 'installing', 'building', 'succeeded', 'failed'];
+
+const FINAL_PHASES = ['succeeded', 'failed'];
+
+export const isFinalPhase = (phase) => FINAL_PHASES.includes(phase);
+
+// Fila de builds em processo com limite de concorrência
+export class BuildQueue extends EventEmitter {
+  constructor({
+    concurrency = config.buildConcurrency,
+    maxQueued = config.buildQueueMax,
+    jobTtlMs = config.buildJobTtlMs
+  } = {}) {
+    super();
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.jobTtlMs = jobTtlMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+  }
+
+  // Adiciona um job à fila; o processor recebe (job, setPhase) e retorna o resultado
+  enqueue(processor, data = {}) {
+    if (this.pending.length >= this.maxQueued) {
+      throw new AppError(`Fila de builds cheia (${this.maxQueued} jobs aguardando). Tente novamente mais tarde.`, 503);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: nanoid(),
+      status: 'queued',
+      phases: [{ phase: 'queued', at: now }],
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      data,
+      result: null,
+      error: null
+    };
+
+    // Guardado fora da serialização para repassar o erro original ao errorHandler
+    Object.defineProperty(job, 'cause', { value: null, writable: true, enumerable: false });
+
+    this.jobs.set(job.id, job);
+    this.pending.push({ job, processor });
+
+    logger.info('Job de build enfileirado', {
+      jobId: job.id,
+      queued: this.pending.length,
+      active: this.active
+    });
+
+    this.emit('queued', job);
+    this.next();
+
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Jobs aguardando ou em execução
+  activeJobs() {
+    return [...this.jobs.values()].filter(job => !isFinalPhase(job.status));
+  }
+
+  // Posição do job na fila (1 = próximo a executar), ou 0 se não estiver aguardando
+  getPosition(jobId) {
+    return this.pending.findIndex(entry => entry.job.id === jobId) + 1;
+  }
+
+  setPhase(job, phase) {
+    if (!JOB_PHASES.includes(phase)) {
+      throw new Error(`Fase de build desconhecida: ${phase}`);
+    }
+
+    job.status = phase;
+    job.phases.push({ phase, at: new Date().toISOString() });
+
+    logger.debug('Job mudou de fase', { jobId: job.id, phase });
+    this.emit('phase', job, phase);
+  }
+
+  // Resolve quando o job termina (com sucesso ou falha)
+  waitFor(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) {
+      return Promise.reject(new AppError(`Job não encontrado: ${jobId}`, 404));
+    }
+
+    if (isFinalPhase(job.status)) {
+      return Promise.resolve(job);
+    }
+
+    return new Promise((resolve) => {
+      const onDone = (finishedJob) => {
+        if (finishedJob.id === jobId) {
+          this.off('done', onDone);
+          resolve(finishedJob);
+        }
+      };
+      this.on('done', onDone);
+    });
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const { job, processor } = this.pending.shift();
+      this.run(job, processor);
+    }
+  }
+
+  async run(job, processor) {
+    this.active++;
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.result = await processor(job, (phase) => this.setPhase(job, phase));
+      this.setPhase(job, 'succeeded');
+    } catch (error) {
+      job.cause = error;
+      job.error = {
+        message: error.message || String(error),
+        statusCode: error.statusCode || 500,
+        type: error.type,
+        phase: error.phase,
+        category: error.category,
+        violation: error.violation,
+        diagnostics: error.diagnostics,
+        log: error.log
+      };
+      this.setPhase(job, 'failed');
+
+      logger.error('Job de build falhou', { jobId: job.id, error: job.error.message });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.active--;
+      this.scheduleExpiry(job);
+      this.emit('done', job);
+      this.next();
+    }
+  }
+
+  // Remove jobs finalizados da memória depois do TTL
+  scheduleExpiry(job) {
+    const timer = setTimeout(() => {
+      this.jobs.delete(job.id);
+      logger.debug('Job expirado removido da memória', { jobId: job.id });
+    }, this.jobTtlMs);
+
+    timer.unref();
+  }
+
+  // Representação pública de um job
+  toJSON(job) {
+    const { data, ...publicJob } = job;
+    return {
+      ...publicJob,
+      projectId: data.projectId || null,
+      position: this.getPosition(job.id) || undefined
+    };
+  }
+
+  stats() {
+    return {
+      active: this.active,
+      queued: this.pending.length,
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued,
+      tracked: this.jobs.size
+    };
+  }
+}
+
+// Instância compartilhada pelo servidor
+export const buildQueue = new BuildQueue();
+
+export default buildQueue;
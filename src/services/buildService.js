@@ -1,82 +1,298 @@
-import { spawn } from 'child_process.js';
-import path from 'path.js';
-import fs from 'fs/promises.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
 import { config } from '../config/index.js';
-import { logger } from '../utils/logger';
+import { createContextLogger } from '../utils/logger.js';
+import { directoryExists, isPathInside, findEscapingSymlinks } from '../utils/fileSystem.js';
+import { AppError, BuildTimeoutError, BuildFailedError, SandboxViolationError } from '../middleware/errorHandler.js';
+import { detectAdapter, getAdapter, loadProject } from './adapters/index.js';
+import { installFallbacksTotal, dependencyCacheRequestsTotal, sandboxViolationsTotal } from './metrics.js';
+import { computeDependencyKey, restoreDependencies, saveDependencies } from './dependencyCache.js';
+import { parseDiagnostics, categorizeFailure, truncateLog } from './diagnostics.js';
+import { createSandboxedCommand, detectSandboxViolation, prepareSandboxDirectory, reclaimSandboxDirectory } from './sandbox.js';
 
-const runCommand = (cmd, args, projectDir) =>
-  new Promise((resolve, reject) => {
-    const child = spawn(cmd, args, { cwd: projectDir, shell: true, stdio: 'pipe' });
+const logger = createContextLogger('BuildService');
+
+// Encerrar o grupo de processos inteiro (gerenciador de pacotes e filhos)
+const killProcessTree = (child, signal) => {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (error) {
+    if (error.code !== 'ESRCH') {
+      logger.warn('Falha ao enviar sinal ao grupo de processos', { pid: child.pid, signal, error: error.message });
+    }
+  }
+};
+
+// Só o final da saída fica em memória: o trecho de error.log e uma margem para os diagnósticos
+// (a saída completa vai para o BuildLog)
+const OUTPUT_TAIL_LENGTH = config.buildErrorLogBytes + 256 * 1024;
+
+const appendTail = (current, chunk) => {
+  const next = current + chunk;
+  return next.length > OUTPUT_TAIL_LENGTH ? next.slice(-OUTPUT_TAIL_LENGTH) : next;
+};
+
+// options.log (BuildLog) recebe a saída em tempo real e o código de saída de cada comando;
+// options.deadline (timestamp) limita a duração do comando dentro da fase options.phase
+// options.env complementa o ambiente mínimo do sandbox (o ambiente do servidor não é herdado)
+// Os argumentos vão direto para o processo, sem shell
+const runCommand = async (cmd, args, projectDir, { log, deadline, phase, env } = {}) => {
+  const sandboxed = await createSandboxedCommand(cmd, args, projectDir, { env });
+
+  return new Promise((resolve, reject) => {
+    const command = `${cmd} ${args.join(' ')}`;
+    const remainingMs = deadline ? deadline - Date.now() : null;
+
+    if (remainingMs !== null && remainingMs <= 0) {
+      sandboxed.cleanup();
+      reject(new BuildTimeoutError(phase, deadline));
+      return;
+    }
+
+    // detached cria um novo grupo de processos para que o timeout alcance todos os descendentes
+    const child = spawn(sandboxed.file, sandboxed.args, {
+      ...sandboxed.options,
+      stdio: 'pipe',
+      detached: true
+    });
 
     let stdout = '';
-    let stderr = '';
+    // stdout e stderr intercalados, na ordem em que chegaram (base dos diagnósticos)
+    let output = '';
+    let timedOut = false;
+    let killTimer = null;
+
+    const timeoutTimer = remainingMs === null ? null : setTimeout(() => {
+      timedOut = true;
+      logger.warn(`Tempo limite excedido, encerrando: ${command}`, { projectDir, phase, pid: child.pid });
+      killProcessTree(child, 'SIGTERM');
+
+      killTimer = setTimeout(() => killProcessTree(child, 'SIGKILL'), config.buildKillGraceMs);
+    }, remainingMs);
+
+    child.stdout.on('data', (data) => {
+      const chunk = data.toString();
+      stdout = appendTail(stdout, chunk);
+      output = appendTail(output, chunk);
+      log?.write('stdout', chunk);
+    });
+    child.stderr.on('data', (data) => {
+      const chunk = data.toString();
+      output = appendTail(output, chunk);
+      log?.write('stderr', chunk);
+    });
 
-    child.stdout.on('data', (data) => (stdout += data.toString()));
-    child.stderr.on('data', (data) => (stderr += data.toString()));
+    // Sem shell, um executável inexistente falha no spawn; o erro entra na saída e o close rejeita
+    child.on('error', (error) => {
+      output = appendTail(output, `${error.message}\n`);
+      log?.write('stderr', `${error.message}\n`);
+    });
 
-    child.on('close', (code) => {
-      if (code !== 0) {
-        logger.error(`Comando falhou: ${cmd} ${args.join(' ')}`, { projectDir, code, stderr });
-        reject(stderr);
+    child.on('close', async (code, signal) => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      log?.exit(command, code, signal);
+
+      // Garantir que nenhum descendente sobreviva ao líder do grupo antes de remover o HOME do comando
+      if (timedOut) {
+        killProcessTree(child, 'SIGKILL');
+      }
+      await sandboxed.cleanup();
+
+      if (timedOut) {
+        logger.error(`Comando excedeu o tempo limite: ${command}`, { projectDir, phase, signal });
+        reject(new BuildTimeoutError(phase, deadline));
+      } else if (code !== 0) {
+        const details = { command, exitCode: code, signal, log: truncateLog(output, config.buildErrorLogBytes) };
+        const violation = detectSandboxViolation({ output, code, signal }, { projectDir });
+        if (violation) {
+          sandboxViolationsTotal.inc({ violation: violation.violation });
+          logger.error(`Comando encerrado pelo sandbox: ${command}`, { projectDir, code, signal, violation: violation.violation });
+          reject(new SandboxViolationError(phase, { ...details, ...violation }));
+          return;
+        }
+
+        const diagnostics = parseDiagnostics(output, { phase, projectDir });
+        const category = categorizeFailure(diagnostics, output, phase);
+
+        logger.error(`Comando falhou: ${cmd} ${args.join(' ')}`, { projectDir, code, category, diagnostics: diagnostics.length });
+        reject(new BuildFailedError(phase, { ...details, category, diagnostics }));
       } else {
         logger.info(`Comando executado com sucesso: ${cmd} ${args.join(' ')}`, { projectDir, stdout });
         resolve(stdout);
       }
     });
   });
+};
+
+// Prazo da fase a partir do limite configurado e do limite pedido pelo cliente (apenas menor)
+const phaseDeadline = (configuredMs, requestedMs) => {
+  const timeoutMs = requestedMs ? Math.min(requestedMs, configuredMs) : configuredMs;
+  return Date.now() + timeoutMs;
+};
+
+// Verificar se as ferramentas de build estão disponíveis
+export const checkBuildTools = async () => {
+  await runCommand('node', ['--version'], null);
+  await runCommand('npm', ['--version'], null);
+};
+
+// Instalar dependências, restaurando node_modules do cache quando package.json e lockfile já foram vistos
+// options.timeoutMs permite ao cliente reduzir o limite configurado para a fase
+// Retorna { cache: 'hit' | 'miss' | 'disabled' }
+export const installDependencies = async (projectDir, { timeoutMs, ...options } = {}) => {
+  const commandOptions = {
+    ...options,
+    phase: 'installing',
+    deadline: phaseDeadline(config.installTimeoutMs, timeoutMs)
+  };
+
+  const cacheKey = config.dependencyCache.enabled ? await computeDependencyKey(projectDir) : null;
+  if (cacheKey && await restoreDependencies(cacheKey, projectDir)) {
+    await prepareSandboxDirectory(projectDir);
+    logger.info('Dependências restauradas do cache', { projectDir, cacheKey });
+    dependencyCacheRequestsTotal.inc({ result: 'hit' });
+    return { cache: 'hit' };
+  }
+
+  await prepareSandboxDirectory(projectDir);
 
-// Instalar dependências
-export const installDependencies = async (projectDir) => {
   try {
-    await runCommand('corepack', ['enable'], projectDir);
-    await runCommand('pnpm', ['install'], projectDir);
+    // Via corepack, sem "corepack enable": o usuário do sandbox não escreve nos binários globais
+    await runCommand('corepack', ['pnpm', 'install'], projectDir, commandOptions);
   } catch (error) {
-    logger.warn('pnpm install falhou, tentando npm install...', { projectDir, error });
-    await runCommand('npm', ['install'], projectDir);
+    // Timeout consome o prazo da fase inteira; não há tempo para o fallback. Uma violação do sandbox
+    // se repetiria com o npm
+    if (error instanceof BuildTimeoutError || error instanceof SandboxViolationError) {
+      throw error;
+    }
+
+    logger.warn('pnpm install falhou, tentando npm install...', { projectDir, error: error.message, category: error.category });
+    installFallbacksTotal.inc();
+    await runCommand('npm', ['install'], projectDir, commandOptions);
   }
-};
 
-// Executar build
-export const runBuild = async (projectDir, previewId) => {
-  const viteConfigPath = path.join(projectDir, 'vite.config.js');
-  const astroConfigPath = path.join(projectDir, 'astro.config.mjs'); // Para Astro
-
-  // Tentar injetar base URL para Vite/Astro
-  let originalConfigContent = null;
-  let configModified = false;
-
-  if (await fs.access(viteConfigPath).then(() => true).catch(() => false)) {
-    originalConfigContent = await fs.readFile(viteConfigPath, 'utf-8');
-    const newConfigContent = originalConfigContent.replace(
-      /export default defineConfig\({\s*plugins: \[react\(\)\](?:,\s*base: "."(?:,\s*build: {\s*outDir: "dist"\s*})?)?/, // Regex mais robusta
-      `export default defineConfig({\n  plugins: [react()],\n  base: '/preview/${previewId}/dist/',\n  build: {\n    outDir: "dist",\n  }`
-    );
-    await fs.writeFile(viteConfigPath, newConfigContent);
-    configModified = true;
-    logger.info(`vite.config.js modificado para incluir base URL: /preview/${previewId}/dist/`, { projectDir });
-  } else if (await fs.access(astroConfigPath).then(() => true).catch(() => false)) {
-    originalConfigContent = await fs.readFile(astroConfigPath, 'utf-8');
-    const newConfigContent = originalConfigContent.replace(
-      /defineConfig\({/, // Encontra defineConfig({ para injetar base
-      `defineConfig({\n  base: '/preview/${previewId}/dist/',`
-    );
-    await fs.writeFile(astroConfigPath, newConfigContent);
-    configModified = true;
-    logger.info(`astro.config.mjs modificado para incluir base URL: /preview/${previewId}/dist/`, { projectDir });
+  if (!cacheKey) {
+    return { cache: 'disabled' };
   }
 
+  dependencyCacheRequestsTotal.inc({ result: 'miss' });
+
+  // Falha ao popular o cache não invalida o build
   try {
-    await runCommand('pnpm', ['run', 'build'], projectDir);
+    await saveDependencies(cacheKey, projectDir);
   } catch (error) {
-    logger.warn('pnpm run build falhou, tentando npm run build...', { projectDir, error });
-    await runCommand('npm', ['run', 'build'], projectDir);
-  } finally {
-    // Restaurar o arquivo de configuração original se foi modificado
-    if (configModified && originalConfigContent) {
-      await fs.writeFile(viteConfigPath, originalConfigContent);
-      logger.info('Arquivo de configuração restaurado para o estado original.', { projectDir });
-    }
+    logger.warn('Falha ao salvar dependências no cache', { projectDir, cacheKey, error: error.message });
+  }
+
+  return { cache: 'miss' };
+};
+
+// Caminho público de um preview (também usado como base path do build)
+export const getPreviewPath = (previewId, distDir) =>
+  `/preview/${previewId}/${distDir === '.' ? '' : `${distDir}/`}`;
+
+// URL pública do preview: subdomínio próprio (<id>.PREVIEW_HOST_SUFFIX) ou caminho sob /preview
+export const getPreviewUrl = (previewId, distDir, { routing = 'path', baseUrl }) => {
+  if (routing === 'host') {
+    return `${new URL(baseUrl).protocol}//${previewId}.${config.previewHostSuffix}/`;
   }
+
+  return `${baseUrl}${getPreviewPath(previewId, distDir)}`;
 };
 
+// Adapter do projeto; mode "static" publica os arquivos sem instalação nem build
+export const detectProjectAdapter = async (projectDir, { mode = 'auto' } = {}) => {
+  if (mode === 'static') {
+    return { adapter: getAdapter('static'), project: await loadProject(projectDir) };
+  }
 
+  const detected = await detectAdapter(projectDir);
+  if (!detected.adapter) {
+    throw new AppError('Tipo de projeto não reconhecido: nenhum adapter de framework encontrado', 400);
+  }
+
+  return detected;
+};
+
+// O diretório de saída é servido e pós-processado (postBuild, pré-compressão) pelo servidor, fora do
+// sandbox: um link deixado pelo build para fora do projeto (ex.: "leak -> /etc/shadow") recusa o build
+const assertContainedOutput = async (projectDir, distDir) => {
+  const outputPath = path.join(projectDir, distDir);
+  const realOutput = await fs.realpath(outputPath);
+  const escaping = isPathInside(realOutput, await fs.realpath(projectDir))
+    ? await findEscapingSymlinks(outputPath, projectDir)
+    : [outputPath];
+
+  if (escaping.length > 0) {
+    const linkPath = path.relative(projectDir, escaping[0]);
+    sandboxViolationsTotal.inc({ violation: 'filesystem' });
+    logger.error('Build deixou links simbólicos para fora do projeto', { projectDir, links: escaping.length });
+    throw new SandboxViolationError('building', {
+      violation: 'filesystem',
+      message: `Link simbólico para fora do diretório do projeto na saída do build: ${linkPath}`,
+      path: linkPath
+    });
+  }
+};
+
+// Projetos estáticos não precisam de node_modules
+export const requiresInstall = (adapter) => adapter.requiresInstall !== false;
+
+// Executar build com o adapter do framework (detectado aqui se não for informado)
+export const runBuild = async (projectDir, previewId, { timeoutMs, routing = 'path', adapter: selectedAdapter, project: selectedProject, ...options } = {}) => {
+  const commandOptions = {
+    ...options,
+    phase: 'building',
+    deadline: phaseDeadline(config.buildPhaseTimeoutMs, timeoutMs)
+  };
+
+  const { adapter, project } = selectedAdapter
+    ? { adapter: selectedAdapter, project: selectedProject || await loadProject(projectDir) }
+    : await detectProjectAdapter(projectDir);
+
+  const outputDir = adapter.outputDir;
+  // Com um subdomínio por preview o app é servido na raiz e não precisa de base path
+  const basePath = routing === 'host' ? '/' : getPreviewPath(previewId, outputDir);
+  const framework = adapter.framework ? adapter.framework(project) : adapter.name;
+
+  logger.info(`Adapter de framework detectado: ${adapter.name}`, { projectDir, framework, basePath });
+
+  const command = adapter.buildCommand(project, { basePath, outputDir });
+  if (command) {
+    // Binários locais funcionam tanto com instalação via pnpm quanto via npm; sem shell, o caminho é absoluto
+    const cmd = command.bin ? path.join(projectDir, 'node_modules', '.bin', command.bin) : command.command;
+    // Config gerada pelo adapter (ex.: base path do Next) só existe durante o build
+    const restoreProject = adapter.prepareBuild ? await adapter.prepareBuild(project, { basePath, outputDir }) : null;
+
+    try {
+      await prepareSandboxDirectory(projectDir);
+      await runCommand(cmd, command.args, projectDir, {
+        ...commandOptions,
+        env: { BASE_PATH: basePath, ...command.env }
+      });
+    } finally {
+      await restoreProject?.();
+    }
+  }
+
+  // O projeto volta ao usuário do servidor antes de qualquer leitura ou escrita do resultado
+  await reclaimSandboxDirectory(projectDir);
+
+  const distDir = adapter.resolveOutputDir ? await adapter.resolveOutputDir(project) : outputDir;
+  if (!distDir || !(await directoryExists(path.join(projectDir, distDir)))) {
+    throw new AppError(`Build não gerou o diretório de saída esperado (${distDir || outputDir})`, 500);
+  }
+  await assertContainedOutput(projectDir, distDir);
+
+  if (adapter.postBuild) {
+    await adapter.postBuild(project, { basePath, outputDir: distDir });
+  }
+
+  return {
+    projectType: adapter.name,
+    framework,
+    distDir
+  };
+};
@@ -0,0 +1,44 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import { parentPort, workerData } from 'worker_threads';
+
+// Worker de pré-compressão: gera os irmãos .br e .gz de cada arquivo, fora da thread principal.
+// Uma variante só é mantida quando fica menor que o original.
+const { files, brotliQuality } = workerData;
+
+const compressors = {
+  br: (data) => zlib.brotliCompressSync(data, {
+    params: {
+      [zlib.constants.BROTLI_PARAM_QUALITY]: brotliQuality,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+    }
+  }),
+  gz: (data) => zlib.gzipSync(data, { level: zlib.constants.Z_BEST_COMPRESSION })
+};
+
+const stats = { files: 0, originalBytes: 0, br: 0, gz: 0 };
+
+for (const file of files) {
+  const data = fs.readFileSync(file, { flag: fs.constants.O_RDONLY | fs.constants.O_NOFOLLOW });
+  let compressed = false;
+
+  for (const [extension, compress] of Object.entries(compressors)) {
+    const output = compress(data);
+    if (output.length < data.length) {
+      // Variante antiga (ou um link plantado pelo build no lugar dela) sai antes: a escrita cria sempre
+      // um arquivo novo e nunca segue um link simbólico
+      const target = `${file}.${extension}`;
+      fs.rmSync(target, { force: true });
+      fs.writeFileSync(target, output, { flag: fs.constants.O_WRONLY | fs.constants.O_CREAT | fs.constants.O_EXCL | fs.constants.O_NOFOLLOW });
+      stats[extension] += output.length;
+      compressed = true;
+    }
+  }
+
+  if (compressed) {
+    stats.files++;
+    stats.originalBytes += data.length;
+  }
+}
+
+parentPort.postMessage(stats);
@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { nanoid } from 'nanoid';
+import { createContextLogger } from '../utils/logger.js';
+import { ensureDirectory, directoryExists, removeDirectory, linkDirectory } from '../utils/fileSystem.js';
+import { MetadataStore } from './metadataStore.js';
+import { reclaimSandboxDirectory, isSandboxUserSwitched } from './sandbox.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('DependencyCache');
+
+// Arquivos que determinam o node_modules instalado, além do package.json
+const DEPENDENCY_FILES = ['pnpm-lock.yaml', 'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', '.npmrc'];
+
+// Cada entrada é um node_modules completo em <dir>/<chave>/node_modules; o índice guarda tamanho e último uso
+export const cacheStore = new MetadataStore(path.join(config.dependencyCache.dir, 'index.jsonl'));
+
+// Entradas sendo restauradas agora (chave -> restaurações em andamento) não podem ser removidas
+const entriesInUse = new Map();
+
+const entryDir = (key) => path.join(config.dependencyCache.dir, key);
+
+const acquire = (key) => entriesInUse.set(key, (entriesInUse.get(key) || 0) + 1);
+
+const release = (key) => {
+  const count = entriesInUse.get(key) - 1;
+  if (count > 0) {
+    entriesInUse.set(key, count);
+  } else {
+    entriesInUse.delete(key);
+  }
+};
+
+// Chave do cache: package.json, lockfiles e .npmrc do projeto, mais versão do Node e plataforma
+// (módulos nativos compilados no postinstall dependem dos dois). Sem package.json não há chave
+export const computeDependencyKey = async (projectDir) => {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${process.version}\0${process.platform}-${process.arch}\0`);
+
+  for (const file of ['package.json', ...DEPENDENCY_FILES]) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(projectDir, file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      if (file === 'package.json') {
+        return null;
+      }
+      continue;
+    }
+
+    hash.update(`${file}\0${content.length}\0`);
+    hash.update(content);
+  }
+
+  return hash.digest('hex');
+};
+
+// Tamanho da árvore sem seguir symlinks (em node_modules eles apontam para fora da entrada,
+// ex.: dependências "file:" do projeto, e ficam quebrados dentro do cache)
+const treeSize = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const sizes = await Promise.all(entries.map(async (entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? treeSize(entryPath) : (await fs.lstat(entryPath)).size;
+  }));
+  return sizes.reduce((sum, size) => sum + size, 0);
+};
+
+const removeEntry = async (key) => {
+  await removeDirectory(entryDir(key));
+  await cacheStore.delete(key);
+};
+
+// Remover as entradas menos usadas recentemente até o cache caber em DEPENDENCY_CACHE_MAX_BYTES
+export const evictDependencyCache = async () => {
+  const entries = cacheStore.all().sort((a, b) => Date.parse(a.lastUsedAt) - Date.parse(b.lastUsedAt));
+  let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const evicted = [];
+
+  for (const entry of entries) {
+    if (totalSize <= config.dependencyCache.maxBytes) {
+      break;
+    }
+    if (entriesInUse.has(entry.id)) {
+      continue;
+    }
+
+    await removeEntry(entry.id);
+    totalSize -= entry.size;
+    evicted.push(entry.id);
+  }
+
+  if (evicted.length > 0) {
+    logger.info('Entradas removidas do cache de dependências', { evicted: evicted.length, totalSize });
+  }
+
+  return evicted;
+};
+
+// Restaurar node_modules de uma entrada do cache; false quando não há entrada utilizável
+// Com hardlinks o projeto compartilha os arquivos com o cache: só é o padrão quando o sandbox troca de
+// usuário, porque aí os arquivos do cache ficam com o servidor e o build não consegue alterá-los
+const linkMode = () => config.dependencyCache.mode || (isSandboxUserSwitched() ? 'hardlink' : 'copy');
+
+export const restoreDependencies = async (key, projectDir) => {
+  const entry = cacheStore.get(key);
+  if (!entry) {
+    return false;
+  }
+
+  const target = path.join(projectDir, 'node_modules');
+  let restored = false;
+
+  acquire(key);
+  try {
+    await linkDirectory(path.join(entryDir(key), 'node_modules'), target, { mode: linkMode() });
+    restored = true;
+  } catch (error) {
+    logger.warn('Falha ao restaurar dependências do cache, descartando a entrada', { key, error: error.message });
+  } finally {
+    release(key);
+  }
+
+  // Entrada corrompida (ex.: removida do disco): descartar e instalar do zero
+  if (!restored) {
+    await removeDirectory(target);
+    await removeEntry(key);
+    return false;
+  }
+
+  await cacheStore.update(key, { lastUsedAt: new Date().toISOString(), hits: entry.hits + 1 });
+  return true;
+};
+
+// Guardar o node_modules recém-instalado. A entrada é montada em um diretório temporário e
+// publicada com rename, então um build concorrente nunca vê uma entrada pela metade
+export const saveDependencies = async (key, projectDir) => {
+  const source = path.join(projectDir, 'node_modules');
+  if (cacheStore.get(key) || !(await directoryExists(source))) {
+    return null;
+  }
+
+  const tempDir = path.join(config.dependencyCache.dir, `.tmp-${nanoid()}`);
+  try {
+    await linkDirectory(source, path.join(tempDir, 'node_modules'), { mode: linkMode() });
+    // Com hardlinks a entrada compartilha os arquivos do projeto: ficam com o servidor, fora do alcance do sandbox
+    await reclaimSandboxDirectory(tempDir);
+    await fs.rename(tempDir, entryDir(key));
+  } catch (error) {
+    await removeDirectory(tempDir);
+    // Outro build com as mesmas dependências publicou a entrada primeiro
+    if (['ENOTEMPTY', 'EEXIST'].includes(error.code)) {
+      return null;
+    }
+    throw error;
+  }
+
+  const size = await treeSize(entryDir(key));
+  if (size > config.dependencyCache.maxBytes) {
+    logger.warn('node_modules maior que o limite do cache, entrada descartada', { key, size });
+    await removeDirectory(entryDir(key));
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const entry = { id: key, size, hits: 0, createdAt: now, lastUsedAt: now };
+  await cacheStore.put(entry);
+  await evictDependencyCache();
+
+  logger.info('Dependências adicionadas ao cache', { key, size });
+  return entry;
+};
+
+// Esvaziar o cache (entradas em uso por um build ficam para a próxima limpeza)
+export const purgeDependencyCache = async () => {
+  let removed = 0;
+  let freedBytes = 0;
+  let skipped = 0;
+
+  for (const entry of cacheStore.all()) {
+    if (entriesInUse.has(entry.id)) {
+      skipped++;
+      continue;
+    }
+
+    await removeEntry(entry.id);
+    removed++;
+    freedBytes += entry.size;
+  }
+
+  if (cacheStore.loaded) {
+    await cacheStore.compact();
+  }
+  logger.info('Cache de dependências esvaziado', { removed, freedBytes, skipped });
+
+  return { removed, freedBytes, skipped };
+};
+
+export const getDependencyCacheStats = () => {
+  const entries = cacheStore.all();
+
+  return {
+    enabled: config.dependencyCache.enabled,
+    mode: linkMode(),
+    entries: entries.length,
+    totalSize: entries.reduce((sum, entry) => sum + entry.size, 0),
+    maxSize: config.dependencyCache.maxBytes,
+    hits: entries.reduce((sum, entry) => sum + entry.hits, 0)
+  };
+};
+
+// Carregar o índice e sincronizá-lo com o disco (na inicialização): diretórios sem entrada
+// no índice e temporários de builds interrompidos são removidos
+export const loadDependencyCache = async () => {
+  await ensureDirectory(config.dependencyCache.dir);
+  await cacheStore.load();
+
+  for (const entry of cacheStore.all()) {
+    if (!(await directoryExists(path.join(entryDir(entry.id), 'node_modules')))) {
+      await cacheStore.delete(entry.id);
+    }
+  }
+
+  const dirents = await fs.readdir(config.dependencyCache.dir, { withFileTypes: true });
+  for (const dirent of dirents) {
+    if (dirent.isDirectory() && !cacheStore.get(dirent.name)) {
+      await removeDirectory(path.join(config.dependencyCache.dir, dirent.name));
+    }
+  }
+
+  await cacheStore.compact();
+  await evictDependencyCache();
+
+  if (linkMode() === 'hardlink' && !isSandboxUserSwitched()) {
+    logger.warn('DEPENDENCY_CACHE_MODE=hardlink sem troca de usuário do sandbox: um build pode alterar arquivos do cache usados por outros builds');
+  }
+  logger.info('Cache de dependências carregado', getDependencyCacheStats());
+};
+
+export default {
+  cacheStore,
+  computeDependencyKey,
+  evictDependencyCache,
+  restoreDependencies,
+  saveDependencies,
+  purgeDependencyCache,
+  getDependencyCacheStats,
+  loadDependencyCache
+};
@@ -0,0 +1,228 @@
+// Diagnósticos estruturados a partir da saída dos comandos de instalação e build
+// (Vite/Rollup, esbuild, TypeScript, Astro, npm e pnpm)
+
+// Limite de diagnósticos por falha (erros em cascata do TypeScript podem gerar centenas)
+const MAX_DIAGNOSTICS = 50;
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+const PATTERNS = {
+  // src/App.tsx(12,5): error TS2322: Type 'string' is not assignable...
+  typescript: /^(?<file>[^\s(][^(]*)\((?<line>\d+),(?<column>\d+)\): (?<severity>error|warning) (?<code>TS\d+): (?<message>.+)$/,
+  // src/App.tsx:12:5 - error TS2322: ... (tsc --pretty)
+  typescriptPretty: /^(?<file>\S+):(?<line>\d+):(?<column>\d+) - (?<severity>error|warning) (?<code>TS\d+): (?<message>.+)$/,
+  // /projeto/src/main.jsx:3:6: ERROR: Expected ";" but found "is" (esbuild via Vite)
+  esbuildInline: /^(?<file>\S+):(?<line>\d+):(?<column>\d+): (?<severity>ERROR|WARNING): (?<message>.+)$/,
+  // ✘ [ERROR] Could not resolve "foo"   (localização nas linhas seguintes)
+  esbuildBlock: /^\s*(?:✘|▲|X|!)?\s*\[(?<severity>ERROR|WARNING)\] (?<message>.+)$/,
+  esbuildLocation: /^\s+(?<file>[^\s:]+):(?<line>\d+):(?<column>\d+):\s*$/,
+  // RollupError: src/main.js (1:9): "foo" is not exported by "src/lib.js"
+  rollup: /^(?:\[[\w:-]+\]:?\s*)?(?:RollupError: )?(?<file>[^\s(]+) \((?<line>\d+):(?<column>\d+)\): (?<message>.+)$/,
+  // [vite]: Rollup failed to resolve import "lodash" from "/projeto/src/main.js".
+  rollupResolve: /Rollup failed to resolve import "(?<specifier>[^"]+)" from "(?<file>[^"]+)"/,
+  // file: /projeto/src/main.js:1:9   (localização de um erro do Vite)
+  viteFile: /^file: (?<file>\S+?):(?<line>\d+):(?<column>\d+)/,
+  // [vite:esbuild] Transform failed...  /  [ERROR] [CompilerError] ...  /  error   Expected "}"
+  errorMessage: /^\s*(?:\[(?:vite:[\w-]+|plugin [\w:-]+)\]|\[ERROR\](?: \[[\w:]+\])?|error(?=\s{2,}))\s*(?<message>.+)$/,
+  // Astro: "  Location:" / "  File:" seguido do caminho na linha seguinte
+  astroLocationHeader: /^\s*(?:Location|File):\s*$/,
+  astroLocation: /^\s*(?<file>\S+?):(?<line>\d+)(?::(?<column>\d+))?\s*$/,
+  // npm ERR! code ERESOLVE  /  npm error code E404
+  npmCode: /^npm (?:ERR!|error) code (?<code>\S+)/,
+  npmLine: /^npm (?:ERR!|error) ?(?<text>.*)$/,
+  // ERR_PNPM_FETCH_404  GET https://registry.npmjs.org/pacote: Not Found - 404
+  pnpm: /ERR_PNPM_(?<code>\w+)\s+(?<message>.+)$/
+};
+
+// Categoria de cada código de erro do npm/pnpm
+const PACKAGE_ERROR_CATEGORIES = {
+  ERESOLVE: 'dependency_conflict',
+  PEER_DEP_ISSUES: 'dependency_conflict',
+  E404: 'dependency_not_found',
+  FETCH_404: 'dependency_not_found',
+  ETARGET: 'dependency_not_found',
+  NO_MATCHING_VERSION: 'dependency_not_found'
+};
+
+// Caminhos relativos ao projeto, como o editor conhece os arquivos
+const relativePath = (file, projectDir) => {
+  if (!file) {
+    return null;
+  }
+
+  const normalized = file.replace(/^\.\//, '');
+  if (projectDir && normalized.startsWith(`${projectDir}/`)) {
+    return normalized.slice(projectDir.length + 1);
+  }
+  return normalized;
+};
+
+const toNumber = (value) => (value ? parseInt(value) : null);
+
+const normalizeSeverity = (severity = 'error') => (severity.toLowerCase().startsWith('warn') ? 'warning' : 'error');
+
+// Mensagem de um erro do npm: ERESOLVE e 404 têm o detalhe espalhado em várias linhas
+const npmMessage = (code, lines) => {
+  const find = (pattern) => lines.map(line => line.match(pattern)).find(Boolean);
+
+  if (code === 'ERESOLVE') {
+    const dependencyIndex = lines.findIndex(line => /^Could not resolve dependency:/.test(line));
+    const conflict = dependencyIndex >= 0 ? lines[dependencyIndex + 1] : null;
+    const found = find(/^Found: (.+)$/);
+    return [
+      'Conflito de dependências (ERESOLVE)',
+      conflict && `: ${conflict}`,
+      found && ` (encontrado: ${found[1]})`
+    ].filter(Boolean).join('');
+  }
+
+  if (code === 'E404') {
+    const missing = find(/^404\s+'([^']+)' is not in (?:this|the npm) registry/);
+    return missing ? `Pacote não encontrado no registry: ${missing[1]}` : 'Pacote não encontrado no registry (E404)';
+  }
+
+  if (code === 'ETARGET') {
+    const target = find(/^notarget No matching version found for (.+?)\.?$/);
+    return target ? `Nenhuma versão encontrada para ${target[1]}` : 'Nenhuma versão compatível encontrada (ETARGET)';
+  }
+
+  return lines.find(line => line && !/^(A complete log|code )/.test(line)) || `Erro do npm (${code})`;
+};
+
+// Extrair diagnósticos da saída de um comando
+export const parseDiagnostics = (output, { phase, projectDir } = {}) => {
+  const lines = String(output || '').replace(ANSI_PATTERN, '').split(/\r?\n/);
+  const diagnostics = [];
+  const seen = new Set();
+  // Mensagem de erro aguardando a localização (linha "file:" do Vite, "Location:" do Astro)
+  let pendingMessage = null;
+
+  const add = ({ file, line, column, severity, message, code }) => {
+    const diagnostic = {
+      file: relativePath(file, projectDir),
+      line: toNumber(line),
+      column: toNumber(column),
+      severity: normalizeSeverity(severity),
+      message: message.trim(),
+      phase
+    };
+    if (code) {
+      diagnostic.code = code;
+    }
+
+    const key = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      diagnostics.push(diagnostic);
+    }
+  };
+
+  // A linha "file:" do Vite repete a localização de um erro já registrado (ex.: esbuild, Rollup)
+  const isLocated = ({ file, line }) =>
+    diagnostics.some(existing => existing.file === relativePath(file, projectDir) && existing.line === toNumber(line));
+
+  // Códigos do npm: o detalhe vem nas linhas "npm ERR!" seguintes
+  const npmCodes = lines.map(line => line.match(PATTERNS.npmCode)?.groups.code).filter(Boolean);
+  if (npmCodes.length > 0) {
+    const npmLines = lines.map(line => line.match(PATTERNS.npmLine)?.groups.text.trim()).filter(text => text !== undefined);
+    for (const code of new Set(npmCodes)) {
+      add({ file: 'package.json', message: npmMessage(code, npmLines), code });
+    }
+  }
+
+  for (let index = 0; index < lines.length && diagnostics.length < MAX_DIAGNOSTICS; index++) {
+    const line = lines[index];
+    let match;
+
+    if ((match = line.match(PATTERNS.typescript) || line.match(PATTERNS.typescriptPretty))) {
+      add(match.groups);
+    } else if ((match = line.match(PATTERNS.esbuildInline))) {
+      add(match.groups);
+      pendingMessage = null;
+    } else if ((match = line.match(PATTERNS.esbuildBlock)) && !/Build failed/i.test(match.groups.message)) {
+      // A localização do esbuild vem logo abaixo (depois de uma linha em branco)
+      const location = lines.slice(index + 1, index + 4).map(next => next.match(PATTERNS.esbuildLocation)).find(Boolean);
+      if (location) {
+        add({ ...location.groups, severity: match.groups.severity, message: match.groups.message });
+      } else {
+        pendingMessage = match.groups.message;
+      }
+    } else if ((match = line.match(PATTERNS.rollupResolve))) {
+      add({ file: match.groups.file, message: `Não foi possível resolver o import "${match.groups.specifier}"` });
+    } else if ((match = line.match(PATTERNS.rollup))) {
+      add(match.groups);
+      pendingMessage = null;
+    } else if ((match = line.match(PATTERNS.viteFile))) {
+      if (pendingMessage && !isLocated(match.groups)) {
+        add({ ...match.groups, message: pendingMessage });
+      }
+      pendingMessage = null;
+    } else if (PATTERNS.astroLocationHeader.test(line)) {
+      const location = lines[index + 1]?.match(PATTERNS.astroLocation);
+      if (location && pendingMessage) {
+        add({ ...location.groups, message: pendingMessage });
+        index++;
+      }
+      pendingMessage = null;
+    } else if ((match = line.match(PATTERNS.pnpm))) {
+      add({ file: 'package.json', message: match.groups.message, code: match.groups.code });
+    } else if ((match = line.match(PATTERNS.errorMessage)) && !/Build failed|Transform failed/i.test(match.groups.message)) {
+      pendingMessage = match.groups.message;
+    } else if (/^error during build:$/.test(line.trim()) && lines[index + 1]) {
+      pendingMessage = lines[index + 1].replace(/^\[[\w:-]+\]:?\s*/, '').replace(/^\w*Error: /, '');
+    }
+  }
+
+  return diagnostics.slice(0, MAX_DIAGNOSTICS);
+};
+
+// Categoria da falha, a partir dos diagnósticos e da saída do comando
+export const categorizeFailure = (diagnostics, output = '', phase) => {
+  for (const diagnostic of diagnostics) {
+    const category = PACKAGE_ERROR_CATEGORIES[diagnostic.code];
+    if (category) {
+      return category;
+    }
+  }
+
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+
+  if (errors.some(diagnostic => /^TS\d+$/.test(diagnostic.code || ''))) {
+    return 'type_error';
+  }
+  if (errors.some(diagnostic => /could not resolve|failed to resolve|resolver o import|cannot find module/i.test(diagnostic.message))) {
+    return 'module_not_found';
+  }
+  if (errors.some(diagnostic => /expected|unexpected|syntax|unterminated|invalid/i.test(diagnostic.message))) {
+    return 'syntax_error';
+  }
+  if (/Cannot find module|ERR_MODULE_NOT_FOUND/.test(output)) {
+    return 'module_not_found';
+  }
+  if (/JavaScript heap out of memory|ENOMEM/.test(output)) {
+    return 'out_of_memory';
+  }
+
+  return phase === 'installing' ? 'install_failed' : 'build_failed';
+};
+
+// Final da saída do comando (onde ficam os erros), limitado a maxBytes
+export const truncateLog = (output, maxBytes) => {
+  const text = String(output || '').replace(ANSI_PATTERN, '');
+  const buffer = Buffer.from(text, 'utf8');
+
+  if (buffer.length <= maxBytes) {
+    return text;
+  }
+
+  // Cortar em uma quebra de linha para não começar no meio de um caractere ou linha
+  const tail = buffer.subarray(buffer.length - maxBytes).toString('utf8');
+  const firstBreak = tail.indexOf('\n');
+  return `[... ${buffer.length - maxBytes} bytes omitidos]\n${firstBreak >= 0 ? tail.slice(firstBreak + 1) : tail}`;
+};
+
+export default {
+  parseDiagnostics,
+  categorizeFailure,
+  truncateLog
+};
@@ -0,0 +1,133 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createContextLogger } from '../utils/logger.js';
+import { ensureDirectory } from '../utils/fileSystem.js';
+
+const logger = createContextLogger('MetadataStore');
+
+// Store de registros em JSON lines: cada linha é um "put" (registro completo) ou "delete".
+// O estado atual fica em memória; o arquivo é reescrito (compactado) quando acumula histórico demais.
+export class MetadataStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.records = new Map();
+    this.lineCount = 0;
+    this.loaded = false;
+    // Escritas em disco são serializadas para manter a ordem das operações
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    await ensureDirectory(path.dirname(this.filePath));
+    this.records.clear();
+    this.lineCount = 0;
+
+    let content = '';
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      this.lineCount++;
+
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === 'put' && entry.record?.id) {
+          this.records.set(entry.record.id, entry.record);
+        } else if (entry.op === 'delete' && entry.id) {
+          this.records.delete(entry.id);
+        }
+      } catch {
+        // Uma linha truncada (ex.: queda durante a escrita) não invalida o restante
+        logger.warn('Linha inválida ignorada no store de metadados', { filePath: this.filePath, line: this.lineCount });
+      }
+    }
+
+    this.loaded = true;
+    logger.info('Store de metadados carregado', { filePath: this.filePath, records: this.records.size });
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  all() {
+    return [...this.records.values()];
+  }
+
+  // Grava o registro completo (substitui o anterior)
+  put(record) {
+    this.records.set(record.id, record);
+    return this.append({ op: 'put', record });
+  }
+
+  // Mescla campos no registro existente (ou cria um novo)
+  async update(id, patch) {
+    const record = { ...this.records.get(id), ...patch, id };
+    await this.put(record);
+    return record;
+  }
+
+  delete(id) {
+    if (!this.records.has(id)) {
+      return this.writeChain;
+    }
+
+    this.records.delete(id);
+    return this.append({ op: 'delete', id });
+  }
+
+  append(entry) {
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+        this.lineCount++;
+
+        if (this.lineCount > this.records.size * 2 + 100) {
+          await this.rewrite();
+        }
+      })
+      .catch(error => {
+        logger.error('Erro ao gravar store de metadados', { filePath: this.filePath, error: error.message });
+      });
+
+    return this.writeChain;
+  }
+
+  // Reescrever o arquivo só com o estado atual (troca atômica via rename)
+  async rewrite() {
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = this.all().map(record => JSON.stringify({ op: 'put', record }));
+
+    await fs.writeFile(tempPath, lines.length ? `${lines.join('\n')}\n` : '', 'utf8');
+    await fs.rename(tempPath, this.filePath);
+    this.lineCount = lines.length;
+
+    logger.debug('Store de metadados compactado', { filePath: this.filePath, records: lines.length });
+  }
+
+  compact() {
+    this.writeChain = this.writeChain
+      .then(() => this.rewrite())
+      .catch(error => {
+        logger.error('Erro ao compactar store de metadados', { filePath: this.filePath, error: error.message });
+      });
+
+    return this.writeChain;
+  }
+
+  // Aguarda as escritas pendentes (ex.: antes do shutdown)
+  flush() {
+    return this.writeChain;
+  }
+}
+
+export default MetadataStore;
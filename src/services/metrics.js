@@ -0,0 +1,152 @@
+import client from 'prom-client';
+
+// Registro das métricas expostas em GET /metrics (formato Prometheus)
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: 'preview_server_' });
+
+// Fases do job de build -> rótulo da métrica de duração
+const PHASE_LABELS = {
+  writing: 'write',
+  installing: 'install',
+  building: 'build'
+};
+
+export const buildsTotal = new client.Counter({
+  name: 'preview_builds_total',
+  help: 'Builds concluídos, por resultado e framework',
+  labelNames: ['result', 'framework'],
+  registers: [registry]
+});
+
+export const buildPhaseDuration = new client.Histogram({
+  name: 'preview_build_phase_duration_seconds',
+  help: 'Duração das fases do build (write, install, build)',
+  labelNames: ['phase'],
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600],
+  registers: [registry]
+});
+
+export const installFallbacksTotal = new client.Counter({
+  name: 'preview_install_fallbacks_total',
+  help: 'Instalações que falharam com pnpm e foram refeitas com npm',
+  registers: [registry]
+});
+
+export const sandboxViolationsTotal = new client.Counter({
+  name: 'preview_sandbox_violations_total',
+  help: 'Comandos de instalação ou build encerrados pelo sandbox, por tipo de violação',
+  labelNames: ['violation'],
+  registers: [registry]
+});
+
+export const dependencyCacheRequestsTotal = new client.Counter({
+  name: 'preview_dependency_cache_requests_total',
+  help: 'Instalações atendidas pelo cache de dependências (hit) ou executadas (miss)',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+export const dependencyCacheBytes = new client.Gauge({
+  name: 'preview_dependency_cache_bytes',
+  help: 'Espaço em disco ocupado pelo cache de dependências',
+  registers: [registry]
+});
+
+export const buildQueueDepth = new client.Gauge({
+  name: 'preview_build_queue_depth',
+  help: 'Jobs de build aguardando na fila',
+  registers: [registry]
+});
+
+export const activeBuilds = new client.Gauge({
+  name: 'preview_builds_active',
+  help: 'Jobs de build em execução',
+  registers: [registry]
+});
+
+export const previewsGauge = new client.Gauge({
+  name: 'preview_previews',
+  help: 'Previews existentes, por status',
+  labelNames: ['status'],
+  registers: [registry]
+});
+
+export const previewsBytes = new client.Gauge({
+  name: 'preview_previews_bytes',
+  help: 'Espaço em disco ocupado pelos previews',
+  registers: [registry]
+});
+
+export const cleanupRemovalsTotal = new client.Counter({
+  name: 'preview_cleanup_removals_total',
+  help: 'Previews expirados removidos pela limpeza automática',
+  registers: [registry]
+});
+
+export const rateLimitRejectionsTotal = new client.Counter({
+  name: 'preview_rate_limit_rejections_total',
+  help: 'Requisições rejeitadas pelo rate limiting, por política',
+  labelNames: ['policy'],
+  registers: [registry]
+});
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'preview_http_request_duration_seconds',
+  help: 'Latência das requisições HTTP, por rota',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+// Registrar a duração de uma fase do job (fases sem rótulo, como "queued", são ignoradas)
+export const observeBuildPhase = (phase, durationMs) => {
+  if (PHASE_LABELS[phase]) {
+    buildPhaseDuration.observe({ phase: PHASE_LABELS[phase] }, durationMs / 1000);
+  }
+};
+
+// Rota da requisição como padrão (ex.: "/previews/:id"), para não gerar uma série por ID.
+// Arquivos de preview e de aliases, que não passam por rotas do Express, são agrupados
+const routeLabel = (req) => {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  if (req.previewHost || req.originalUrl.startsWith('/preview/')) {
+    return '/preview/*';
+  }
+  if (req.previewAlias || req.originalUrl.startsWith('/p/')) {
+    return '/p/*';
+  }
+  return 'unmatched';
+};
+
+// Middleware de latência HTTP
+export const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    endTimer({ method: req.method, route: routeLabel(req), status_code: res.statusCode });
+  });
+
+  next();
+};
+
+export default {
+  registry,
+  buildsTotal,
+  buildPhaseDuration,
+  installFallbacksTotal,
+  sandboxViolationsTotal,
+  dependencyCacheRequestsTotal,
+  dependencyCacheBytes,
+  buildQueueDepth,
+  activeBuilds,
+  previewsGauge,
+  previewsBytes,
+  cleanupRemovalsTotal,
+  rateLimitRejectionsTotal,
+  httpRequestDuration,
+  observeBuildPhase,
+  httpMetrics
+};
@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { createContextLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('Precompress');
+
+// Extensões de texto que valem a pena pré-comprimir
+export const COMPRESSIBLE_EXTENSIONS = [
+  '.html', '.htm', '.css', '.js', '.mjs', '.json', '.map', '.svg', '.xml', '.txt', '.webmanifest', '.wasm', '.ico'
+];
+
+// Variantes na ordem de preferência quando o cliente aceita ambas
+export const ENCODINGS = [
+  { encoding: 'br', extension: '.br' },
+  { encoding: 'gzip', extension: '.gz' }
+];
+
+export const isCompressible = (filePath) => COMPRESSIBLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+// Arquivos do diretório de saída que devem ganhar variantes .br/.gz
+const listCompressibleFiles = async (dir) => {
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+    if (!entry.isFile() || !isCompressible(filePath)) {
+      continue;
+    }
+
+    const { size } = await fs.stat(filePath);
+    if (size >= config.precompress.minBytes) {
+      files.push(filePath);
+    }
+  }
+
+  return files;
+};
+
+const runWorker = (files) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./compressionWorker.js', import.meta.url), {
+    workerData: { files, brotliQuality: config.precompress.brotliQuality }
+  });
+
+  worker.once('message', resolve);
+  worker.once('error', reject);
+  worker.once('exit', (code) => {
+    if (code !== 0) {
+      reject(new Error(`Worker de compressão terminou com código ${code}`));
+    }
+  });
+});
+
+// Gerar as variantes .br e .gz do diretório de saída de um build
+export const precompressDirectory = async (dir) => {
+  const startTime = Date.now();
+  const files = await listCompressibleFiles(dir);
+
+  if (files.length === 0) {
+    return { files: 0, originalBytes: 0, br: 0, gz: 0 };
+  }
+
+  const stats = await runWorker(files);
+
+  logger.info('Assets pré-comprimidos', { dir, ...stats, duration: Date.now() - startTime });
+  return stats;
+};
+
+export default {
+  COMPRESSIBLE_EXTENSIONS,
+  ENCODINGS,
+  isCompressible,
+  precompressDirectory
+};
@@ -0,0 +1,315 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { customAlphabet } from 'nanoid';
+import { createContextLogger } from '../utils/logger.js';
+import { directoryExists, getDirectorySize, countFiles, removeDirectory, linkDirectory } from '../utils/fileSystem.js';
+import { isSafeId } from '../utils/validation.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { MetadataStore } from './metadataStore.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { cleanupRemovalsTotal } from './metrics.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('PreviewService');
+
+// Metadados de todos os previews, persistidos em disco
+export const previewStore = new MetadataStore(config.metadataFile);
+
+// IDs de preview em minúsculas e sem "_", válidos como subdomínio (hostnames não diferenciam maiúsculas)
+export const createPreviewId = customAlphabet('0123456789abcdefghijklmnopqrstuvwxyz', 21);
+
+const getPreviewDir = (previewId) => {
+  if (!isSafeId(previewId)) {
+    throw new AppError(`ID de preview inválido: ${previewId}`, 400);
+  }
+
+  return path.join(config.previewsDir, previewId);
+};
+
+// Registrar (ou atualizar) os metadados de um preview
+export const recordPreview = (previewId, data) => {
+  const existing = previewStore.get(previewId);
+  const now = new Date();
+
+  return previewStore.put({
+    id: previewId,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + config.previewMaxAgeMs).toISOString(),
+    ...existing,
+    ...data,
+    updatedAt: now.toISOString()
+  });
+};
+
+export const forgetPreview = (previewId) => previewStore.delete(previewId);
+
+// Registro de um diretório de preview que não estava no store
+const adoptedRecord = (previewId, stats) => ({
+  id: previewId,
+  status: 'unknown',
+  createdAt: new Date(stats.birthtimeMs || stats.mtimeMs).toISOString(),
+  expiresAt: new Date(stats.mtimeMs + config.previewMaxAgeMs).toISOString()
+});
+
+// Sincronizar o store com o que existe em disco (executado na inicialização)
+export const reconcilePreviews = async () => {
+  await previewStore.load();
+
+  const entries = (await directoryExists(config.previewsDir))
+    ? await fs.readdir(config.previewsDir, { withFileTypes: true })
+    : [];
+  const directories = new Set(entries.filter(entry => entry.isDirectory()).map(entry => entry.name));
+
+  let removedRecords = 0;
+  let interruptedBuilds = 0;
+  let adoptedDirectories = 0;
+
+  for (const record of previewStore.all()) {
+    // Atualização interrompida: o preview publicado continua intacto
+    if (record.updateJobId) {
+      await previewStore.update(record.id, { updateJobId: null });
+    }
+
+    if (!directories.has(record.id)) {
+      // Registro sem arquivos: o diretório foi removido fora do servidor
+      await previewStore.delete(record.id);
+      removedRecords++;
+    } else if (record.status === 'building') {
+      // Build interrompido por um restart: os arquivos estão incompletos
+      await removeDirectory(path.join(config.previewsDir, record.id));
+      await previewStore.delete(record.id);
+      directories.delete(record.id);
+      interruptedBuilds++;
+    }
+  }
+
+  for (const previewId of directories) {
+    if (!previewStore.get(previewId) && isSafeId(previewId)) {
+      const stats = await fs.stat(path.join(config.previewsDir, previewId));
+      await previewStore.put(adoptedRecord(previewId, stats));
+      adoptedDirectories++;
+    }
+  }
+
+  await previewStore.compact();
+
+  logger.info('Metadados de previews reconciliados com o disco', {
+    records: previewStore.all().length,
+    removedRecords,
+    interruptedBuilds,
+    adoptedDirectories
+  });
+};
+
+// Listar previews com filtros e paginação
+export const listPreviews = async ({ page = 1, limit = 20, status, createdAfter, createdBefore, owner } = {}) => {
+  const filtered = previewStore.all()
+    .filter(preview => !owner || preview.owner === owner)
+    .filter(preview => !status || preview.status === status)
+    .filter(preview => !createdAfter || Date.parse(preview.createdAt) >= createdAfter.getTime())
+    .filter(preview => !createdBefore || Date.parse(preview.createdAt) <= createdBefore.getTime())
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+  return {
+    previews: filtered.slice((page - 1) * limit, page * limit),
+    pagination: {
+      page,
+      limit,
+      total: filtered.length,
+      pages: Math.ceil(filtered.length / limit)
+    }
+  };
+};
+
+// Detalhes de um preview, incluindo tamanho e quantidade de arquivos em disco
+export const getPreview = async (previewId) => {
+  const previewDir = getPreviewDir(previewId);
+  const record = previewStore.get(previewId);
+
+  if (!record || !(await directoryExists(previewDir))) {
+    return null;
+  }
+
+  return {
+    ...record,
+    size: await getDirectorySize(previewDir),
+    fileCount: await countFiles(previewDir)
+  };
+};
+
+export const deletePreview = async (previewId) => {
+  const previewDir = getPreviewDir(previewId);
+  const record = previewStore.get(previewId);
+
+  if (!record) {
+    throw new AppError(`Preview não encontrado: ${previewId}`, 404);
+  }
+
+  if (record.status === 'building') {
+    throw new AppError('Preview ainda está sendo gerado', 409);
+  }
+
+  if (record.updateJobId) {
+    throw new AppError('Preview está sendo atualizado', 409);
+  }
+
+  await removeDirectory(previewDir);
+  await forgetPreview(previewId);
+
+  logger.info('Preview removido', { previewId });
+};
+
+// Adiar a expiração de um preview, respeitando o tempo de vida máximo
+export const extendPreview = async (previewId, ttlMs) => {
+  const preview = await getPreview(previewId);
+  if (!preview) {
+    throw new AppError(`Preview não encontrado: ${previewId}`, 404);
+  }
+
+  const now = Date.now();
+  const currentExpiry = Math.max(Date.parse(preview.expiresAt), now);
+  const maxExpiry = Date.parse(preview.createdAt) + config.previewMaxLifetimeMs;
+  const expiresAt = Math.min(currentExpiry + ttlMs, maxExpiry);
+
+  if (expiresAt <= currentExpiry) {
+    throw new AppError(`Preview já atingiu o tempo de vida máximo de ${Math.round(config.previewMaxLifetimeMs / (1000 * 60 * 60))} horas`, 409);
+  }
+
+  const updated = await previewStore.update(previewId, { expiresAt: new Date(expiresAt).toISOString() });
+
+  logger.info('Expiração do preview prorrogada', { previewId, expiresAt: updated.expiresAt });
+  return { ...updated, size: preview.size, fileCount: preview.fileCount };
+};
+
+// Preview pronto e ainda válido gerado a partir dos mesmos arquivos e opções (ver hashBuildInput)
+export const findPreviewByBuildHash = async (buildHash) => {
+  const now = Date.now();
+  const candidates = previewStore.all()
+    .filter(record => record.buildHash === buildHash && record.status === 'ready' && Date.parse(record.expiresAt) > now)
+    .sort((a, b) => Date.parse(b.builtAt) - Date.parse(a.builtAt));
+
+  for (const record of candidates) {
+    if (await directoryExists(path.join(getPreviewDir(record.id), record.distDir))) {
+      return record;
+    }
+  }
+
+  return null;
+};
+
+// Garantir a um preview reaproveitado a validade de um preview novo (sem passar do tempo de vida máximo)
+export const renewPreview = async (previewId) => {
+  const record = previewStore.get(previewId);
+  const renewedExpiry = Math.min(
+    Math.max(Date.parse(record.expiresAt), Date.now() + config.previewMaxAgeMs),
+    Date.parse(record.createdAt) + config.previewMaxLifetimeMs
+  );
+
+  return previewStore.update(previewId, { expiresAt: new Date(renewedExpiry).toISOString() });
+};
+
+// Novo preview com o dist de outro (hardlinks, sem build). data traz o que é próprio da nova
+// requisição: dono, acesso, headers, webhooks e URL
+export const clonePreview = async (source, previewId, data) => {
+  const previewDir = getPreviewDir(previewId);
+  await linkDirectory(path.join(getPreviewDir(source.id), source.distDir), path.join(previewDir, source.distDir));
+
+  const { projectType, framework, distDir, site, precompressed, mode, routing, sourceHash, buildHash, fileCount } = source;
+  await recordPreview(previewId, {
+    status: 'ready',
+    projectType,
+    framework,
+    distDir,
+    site,
+    precompressed,
+    mode,
+    routing,
+    sourceHash,
+    buildHash,
+    fileCount,
+    ...data,
+    clonedFrom: source.id,
+    buildTime: 0,
+    size: await getDirectorySize(previewDir),
+    builtAt: new Date().toISOString()
+  });
+
+  logger.info('Preview copiado de um build idêntico', { previewId, source: source.id });
+  return previewStore.get(previewId);
+};
+
+// Limpeza automática: remove os previews cuja expiração registrada já passou (exceto os de retainedIds)
+export const cleanupOldPreviews = async ({ retainedIds = new Set() } = {}) => {
+  const now = Date.now();
+  let cleanedCount = 0;
+
+  for (const record of previewStore.all()) {
+    if (record.status === 'building' || record.updateJobId || Date.parse(record.expiresAt) > now) {
+      continue;
+    }
+
+    // Destino recente de um alias: mantido para o rollback
+    if (retainedIds.has(record.id)) {
+      continue;
+    }
+
+    try {
+      await removeDirectory(path.join(config.previewsDir, record.id));
+      await forgetPreview(record.id);
+      cleanedCount++;
+      cleanupRemovalsTotal.inc();
+
+      await emitWebhookEvent('preview.expired', {
+        previewId: record.id,
+        url: record.url,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt
+      }, record.webhooks);
+
+      logger.info(`Preview antigo removido: ${record.id}`, {
+        ageHours: Math.round((now - Date.parse(record.createdAt)) / (1000 * 60 * 60))
+      });
+    } catch (error) {
+      logger.error(`Erro ao remover preview expirado ${record.id}:`, { error: error.message });
+    }
+  }
+
+  if (cleanedCount > 0) {
+    logger.info(`Limpeza concluída: ${cleanedCount} previews removidos`);
+  }
+
+  return cleanedCount;
+};
+
+// Contagem e uso de disco dos previews, a partir do store
+export const getPreviewStats = () => {
+  const records = previewStore.all();
+  const byStatus = {};
+
+  for (const record of records) {
+    byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+  }
+
+  return {
+    total: records.length,
+    byStatus,
+    totalSize: records.reduce((sum, record) => sum + (record.size || 0), 0)
+  };
+};
+
+export default {
+  previewStore,
+  createPreviewId,
+  recordPreview,
+  forgetPreview,
+  reconcilePreviews,
+  listPreviews,
+  getPreview,
+  deletePreview,
+  extendPreview,
+  findPreviewByBuildHash,
+  renewPreview,
+  clonePreview,
+  cleanupOldPreviews,
+  getPreviewStats
+};
@@ -0,0 +1,196 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createContextLogger } from '../utils/logger.js';
+
+const logger = createContextLogger('PreviewSite');
+
+// Limite de regras por arquivo (_redirects / _headers)
+const MAX_RULES = 1000;
+
+const REDIRECT_STATUSES = [200, 301, 302, 303, 307, 308, 404, 410];
+
+// Headers que um preview não pode definir (cookies do domínio da API, framing da resposta HTTP,
+// escopo de service workers, limpeza de dados, CORS e HSTS valem para a origem inteira).
+// CSP e X-Frame-Options vêm da política de headers dos previews (securityHeaders no build)
+const BLOCKED_HEADERS = [
+  'set-cookie', 'content-length', 'transfer-encoding', 'connection', 'keep-alive', 'upgrade', 'host',
+  'content-security-policy', 'x-frame-options',
+  'service-worker-allowed', 'clear-site-data', 'strict-transport-security'
+];
+
+const isBlockedHeader = (name) => {
+  const lower = name.toLowerCase();
+  return BLOCKED_HEADERS.includes(lower) || lower.startsWith('access-control-');
+};
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// Converte um caminho estilo Netlify ("/blog/:slug", "/app/*") em regex com grupos nomeados
+const compilePattern = (pattern) => {
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment === '*') {
+        return '(?<splat>.*)';
+      }
+      if (segment.startsWith(':')) {
+        return `(?<${segment.slice(1).replace(/\W/g, '_')}>[^/]+)`;
+      }
+      return escapeRegExp(segment).replace(/\*/g, '(?<splat>.*)');
+    })
+    .join('/');
+
+  try {
+    return new RegExp(`^${source}/?$`);
+  } catch {
+    // Padrões inválidos (ex.: mais de um "*") nunca casam
+    return /(?!)/;
+  }
+};
+
+const isExternalUrl = (value) => /^https?:\/\//i.test(value);
+
+// Parser do arquivo _redirects: "origem destino [status][!]" por linha
+export const parseRedirects = (content) => {
+  const rules = [];
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) {
+      continue;
+    }
+
+    const [from, to, statusToken = '301'] = line.split(/\s+/);
+    const status = parseInt(statusToken);
+
+    if (!from?.startsWith('/') || !to || !REDIRECT_STATUSES.includes(status)) {
+      logger.debug('Regra de _redirects ignorada', { line });
+      continue;
+    }
+
+    // Reescritas (200) e páginas de erro só podem apontar para arquivos do próprio preview
+    if (isExternalUrl(to) ? ![301, 302, 303, 307, 308].includes(status) : !to.startsWith('/')) {
+      logger.debug('Destino de _redirects não permitido', { line });
+      continue;
+    }
+
+    rules.push({ from, to, status, force: statusToken.endsWith('!') });
+
+    if (rules.length >= MAX_RULES) {
+      break;
+    }
+  }
+
+  return rules;
+};
+
+// Parser do arquivo _headers: um caminho por linha, seguido de "Nome: valor" indentados
+export const parseHeaders = (content) => {
+  const rules = [];
+  let current = null;
+
+  for (const rawLine of content.split('\n')) {
+    if (!rawLine.trim() || rawLine.trim().startsWith('#')) {
+      continue;
+    }
+
+    if (!/^\s/.test(rawLine)) {
+      const pattern = rawLine.trim();
+      current = pattern.startsWith('/') ? { for: pattern, values: {} } : null;
+      if (current) {
+        rules.push(current);
+      }
+      continue;
+    }
+
+    const separator = rawLine.indexOf(':');
+    if (!current || separator === -1) {
+      continue;
+    }
+
+    const name = rawLine.slice(0, separator).trim();
+    const value = rawLine.slice(separator + 1).trim();
+
+    if (/^[\w-]+$/.test(name) && !isBlockedHeader(name)) {
+      current.values[name] = current.values[name] ? `${current.values[name]}, ${value}` : value;
+    }
+
+    if (rules.length >= MAX_RULES) {
+      break;
+    }
+  }
+
+  return rules.filter(rule => Object.keys(rule.values).length > 0);
+};
+
+const readOptionalFile = async (filePath) => {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Detecção de SPA: o único documento HTML do diretório de saída é o index.html
+// (um 404.html próprio indica um site de várias páginas)
+const detectSpa = async (outputPath) => {
+  const entries = await fs.readdir(outputPath, { recursive: true });
+  const htmlFiles = entries.filter(entry => entry.endsWith('.html'));
+  return htmlFiles.length === 1 && htmlFiles[0] === 'index.html';
+};
+
+// Configuração do site servido (SPA, 404.html, _redirects e _headers), gravada com o preview
+export const loadSiteConfig = async (outputPath, { spa = 'auto' } = {}) => {
+  const [redirects, headers] = await Promise.all([
+    readOptionalFile(path.join(outputPath, '_redirects')),
+    readOptionalFile(path.join(outputPath, '_headers'))
+  ]);
+
+  const site = {
+    spa: spa === 'auto' ? await detectSpa(outputPath) : spa,
+    notFoundPage: (await readOptionalFile(path.join(outputPath, '404.html'))) !== null,
+    redirects: redirects ? parseRedirects(redirects) : [],
+    headers: headers ? parseHeaders(headers) : []
+  };
+
+  logger.debug('Configuração do site carregada', {
+    outputPath,
+    spa: site.spa,
+    notFoundPage: site.notFoundPage,
+    redirects: site.redirects.length,
+    headers: site.headers.length
+  });
+
+  return site;
+};
+
+// Primeira regra de _redirects que casa com o caminho, com o destino já substituído
+export const matchRedirect = (redirects, sitePath) => {
+  for (const rule of redirects) {
+    const match = compilePattern(rule.from).exec(sitePath);
+    if (match) {
+      const params = match.groups || {};
+      const to = rule.to.replace(/:(\w+)/g, (placeholder, name) => params[name] ?? placeholder);
+      return { ...rule, to };
+    }
+  }
+
+  return null;
+};
+
+// Headers de todas as regras de _headers que casam com o caminho
+export const matchHeaders = (headers, sitePath) =>
+  headers
+    .filter(rule => compilePattern(rule.for).test(sitePath))
+    .reduce((values, rule) => ({ ...values, ...rule.values }), {});
+
+export default {
+  parseRedirects,
+  parseHeaders,
+  loadSiteConfig,
+  matchRedirect,
+  matchHeaders
+};
@@ -0,0 +1,170 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { nanoid } from 'nanoid';
+import { createContextLogger } from '../utils/logger.js';
+import { writeFileSecure, linkDirectory, removeDirectory, getDirectorySize, findEscapingSymlinks } from '../utils/fileSystem.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ENCODINGS, isCompressible } from './precompress.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('PreviewUpdate');
+
+// Diretórios temporários das atualizações ficam em PREVIEWS_DIR (mesmo sistema de arquivos, para o
+// rename funcionar) com "." no início: não são servidos nem confundidos com previews
+export const isUpdateWorkDir = (name) => /^\.[\w-]+\.(staging|retired)-[\w-]+$/.test(name);
+
+const workDir = (previewId, kind) => path.join(config.previewsDir, `.${previewId}.${kind}-${nanoid(8)}`);
+
+// Variantes .br/.gz geradas pela pré-compressão (uploads com essas extensões não são aceitos)
+const isPrecompressedVariant = (filePath) => {
+  const variant = ENCODINGS.find(({ extension }) => filePath.endsWith(extension));
+  return Boolean(variant) && isCompressible(filePath.slice(0, -variant.extension.length));
+};
+
+// Remover as variantes pré-comprimidas de uma árvore: sem isso, arquivos alterados ou removidos continuariam
+// sendo servidos na versão anterior a clientes com Accept-Encoding
+const removePrecompressedVariants = async (dir) => {
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+
+  for (const entry of entries) {
+    const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+    if (entry.isFile() && isPrecompressedVariant(filePath) && !filePath.includes(`${path.sep}node_modules${path.sep}`)) {
+      await fs.rm(filePath, { force: true });
+    }
+  }
+};
+
+// Cópia de trabalho do preview para o novo build: node_modules com hardlinks (só é alterado por uma
+// reinstalação, que começa do zero), demais arquivos copiados e o dist anterior fora. Quando o site é a
+// raiz do projeto (distDir "."), as variantes .br/.gz saem da cópia e são geradas de novo depois do build.
+// Links simbólicos deixados pelo build anterior só continuam se apontarem para dentro da cópia
+export const createStagingTree = async (previewId, { distDir }) => {
+  const previewDir = path.join(config.previewsDir, previewId);
+  const stagingDir = workDir(previewId, 'staging');
+  const distRoot = distDir && distDir !== '.' ? distDir.split('/')[0] : null;
+
+  await fs.mkdir(stagingDir);
+
+  try {
+    const entries = await fs.readdir(previewDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const from = path.join(previewDir, entry.name);
+      const to = path.join(stagingDir, entry.name);
+
+      if (entry.name === distRoot) {
+        continue;
+      }
+
+      if (entry.isDirectory()) {
+        await linkDirectory(from, to, { mode: entry.name === 'node_modules' ? 'hardlink' : 'copy' });
+      } else if (entry.isSymbolicLink()) {
+        await fs.symlink(await fs.readlink(from), to);
+      } else {
+        await fs.copyFile(from, to);
+      }
+    }
+
+    if (!distRoot) {
+      await removePrecompressedVariants(stagingDir);
+    }
+
+    const escaping = await findEscapingSymlinks(stagingDir);
+    for (const linkPath of escaping) {
+      await fs.rm(linkPath);
+    }
+    if (escaping.length > 0) {
+      logger.warn('Links simbólicos para fora do preview removidos da cópia de trabalho', { previewId, removed: escaping.length });
+    }
+  } catch (error) {
+    await removeDirectory(stagingDir);
+    throw error;
+  }
+
+  return stagingDir;
+};
+
+// Caminho de um arquivo da atualização na cópia de trabalho. A escrita e a remoção rodam com o usuário do
+// servidor: nenhum diretório do caminho pode ser um link simbólico (ex.: "linkdir/x" com linkdir -> /etc)
+const resolveChangePath = async (stagingDir, filePath) => {
+  const parts = filePath.split('/').slice(0, -1);
+  let current = stagingDir;
+
+  for (const part of parts) {
+    current = path.join(current, part);
+    const stats = await fs.lstat(current).catch(error => {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    });
+
+    if (!stats) {
+      break;
+    }
+    if (!stats.isDirectory()) {
+      throw new AppError(`Caminho da atualização passa por ${stats.isSymbolicLink() ? 'um link simbólico' : 'um arquivo'}: ${filePath}`, 400);
+    }
+  }
+
+  return path.join(stagingDir, filePath);
+};
+
+// Aplicar os arquivos novos/alterados e as remoções na cópia de trabalho. O arquivo anterior é
+// removido antes da escrita para não alterar, por um hardlink, o preview publicado
+export const applyFileChanges = async (stagingDir, { files = {}, deleted = [] }) => {
+  for (const filePath of deleted) {
+    await fs.rm(await resolveChangePath(stagingDir, filePath), { recursive: true, force: true });
+  }
+
+  for (const [filePath, content] of Object.entries(files)) {
+    const fullPath = await resolveChangePath(stagingDir, filePath);
+    await fs.rm(fullPath, { recursive: true, force: true });
+    await writeFileSecure(fullPath, content);
+  }
+};
+
+// Tamanho dos arquivos do projeto, sem node_modules
+export const getSourceSize = async (projectDir) =>
+  await getDirectorySize(projectDir) - await getDirectorySize(path.join(projectDir, 'node_modules'));
+
+// Trocar o diretório do preview pela cópia de trabalho: duas renomeações seguidas no mesmo sistema
+// de arquivos, então o preview nunca fica com um dist pela metade. O diretório anterior é removido depois
+export const swapPreviewDirectory = async (previewId, stagingDir) => {
+  const previewDir = path.join(config.previewsDir, previewId);
+  const retiredDir = workDir(previewId, 'retired');
+
+  await fs.rename(previewDir, retiredDir);
+  try {
+    await fs.rename(stagingDir, previewDir);
+  } catch (error) {
+    await fs.rename(retiredDir, previewDir);
+    throw error;
+  }
+
+  await removeDirectory(retiredDir).catch(error => {
+    logger.warn('Falha ao remover a versão anterior do preview', { previewId, error: error.message });
+  });
+};
+
+// Remover cópias de trabalho de atualizações interrompidas por um restart (na inicialização)
+export const cleanupUpdateWorkDirs = async () => {
+  const entries = await fs.readdir(config.previewsDir, { withFileTypes: true }).catch(() => []);
+  const leftovers = entries.filter(entry => entry.isDirectory() && isUpdateWorkDir(entry.name));
+
+  for (const entry of leftovers) {
+    await removeDirectory(path.join(config.previewsDir, entry.name));
+  }
+
+  if (leftovers.length > 0) {
+    logger.info('Diretórios de atualizações interrompidas removidos', { removed: leftovers.length });
+  }
+};
+
+export default {
+  isUpdateWorkDir,
+  createStagingTree,
+  applyFileChanges,
+  getSourceSize,
+  swapPreviewDirectory,
+  cleanupUpdateWorkDirs
+};
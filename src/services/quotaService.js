@@ -0,0 +1,122 @@
+import { createContextLogger } from '../utils/logger.js';
+import { QuotaExceededError } from '../middleware/errorHandler.js';
+import { isAuthEnabled, hasAdminScope } from '../middleware/auth.js';
+import { buildQueue } from './buildQueue.js';
+import { previewStore } from './previewService.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('QuotaService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Início dos builds recentes de cada tenant (últimas 24h), para as cotas por janela de tempo
+const buildStarts = new Map();
+
+// Limites do tenant: padrões da configuração sobrescritos pelos da chave de API (0 = sem limite)
+export const resolveQuotaLimits = (apiKey) => ({
+  ...config.quotas,
+  ...apiKey?.quotas
+});
+
+// Tenant dono dos previews e builds: o da chave de API ou, sem autenticação, o IP
+export const resolveTenant = (req) => req.apiKey?.tenant || req.ip;
+
+// Previews, jobs e aliases só são visíveis e alteráveis pelo tenant dono, exceto para chaves de administração.
+// Sem autenticação não há tenants a separar
+export const isOwnedByRequester = (req, owner, { write = false } = {}) =>
+  !isAuthEnabled() || hasAdminScope(req, { write }) || owner === resolveTenant(req);
+
+const recentBuilds = (tenant, now = Date.now()) => {
+  const starts = (buildStarts.get(tenant) || []).filter(at => now - at < DAY_MS);
+
+  if (starts.length > 0) {
+    buildStarts.set(tenant, starts);
+  } else {
+    buildStarts.delete(tenant);
+  }
+
+  return starts;
+};
+
+export const recordBuildStart = (tenant) => {
+  buildStarts.set(tenant, [...recentBuilds(tenant), Date.now()]);
+};
+
+// Uso atual de cada cota do tenant
+export const getQuotaUsage = (tenant, limits) => {
+  const now = Date.now();
+  const starts = recentBuilds(tenant, now);
+  const previews = previewStore.all().filter(record => record.owner === tenant);
+  const activeBuilds = buildQueue.activeJobs().filter(job => job.data.owner === tenant);
+
+  // Segundos até a janela liberar um build (o mais antigo dentro do limite sair dela)
+  const retryAfter = (windowMs, windowStarts, limit) => {
+    const oldest = windowStarts[windowStarts.length - limit];
+    return oldest ? Math.max(1, Math.ceil((oldest + windowMs - now) / 1000)) : undefined;
+  };
+  const hourStarts = starts.filter(at => now - at < HOUR_MS);
+
+  return {
+    buildsPerHour: {
+      used: hourStarts.length,
+      limit: limits.buildsPerHour,
+      retryAfter: retryAfter(HOUR_MS, hourStarts, limits.buildsPerHour)
+    },
+    buildsPerDay: {
+      used: starts.length,
+      limit: limits.buildsPerDay,
+      retryAfter: retryAfter(DAY_MS, starts, limits.buildsPerDay)
+    },
+    concurrentBuilds: {
+      used: activeBuilds.length,
+      limit: limits.concurrentBuilds
+    },
+    // Builds ainda na fila já contam: o preview só é registrado quando o job começa
+    livePreviews: {
+      used: previews.length + activeBuilds.filter(job => !previewStore.get(job.data.projectId)).length,
+      limit: limits.livePreviews
+    },
+    storageBytes: {
+      used: previews.reduce((sum, record) => sum + (record.size || 0), 0),
+      limit: limits.storageBytes
+    }
+  };
+};
+
+// Cotas de taxa respondem 429; cotas de armazenamento, 507
+const QUOTA_STATUS = {
+  buildsPerHour: 429,
+  buildsPerDay: 429,
+  concurrentBuilds: 429,
+  livePreviews: 507,
+  storageBytes: 507
+};
+
+// Verificar se o tenant pode iniciar mais um build
+// (createsPreview: false para a atualização de um preview existente, que não conta em livePreviews)
+export const checkBuildQuota = (tenant, limits, { createsPreview = true } = {}) => {
+  const usage = getQuotaUsage(tenant, limits);
+
+  for (const [quota, { used, limit, retryAfter }] of Object.entries(usage)) {
+    if (!createsPreview && quota === 'livePreviews') {
+      continue;
+    }
+
+    if (limit > 0 && used >= limit) {
+      logger.warn('Cota excedida', { tenant, quota, used, limit });
+      throw new QuotaExceededError(quota, { used, limit, retryAfter }, QUOTA_STATUS[quota]);
+    }
+  }
+
+  return usage;
+};
+
+export default {
+  resolveQuotaLimits,
+  resolveTenant,
+  isOwnedByRequester,
+  recordBuildStart,
+  getQuotaUsage,
+  checkBuildQuota
+};
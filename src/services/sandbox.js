@@ -0,0 +1,337 @@
+import fs from 'fs/promises';
+import { constants as fsConstants } from 'fs';
+import { spawn } from 'child_process';
+import path from 'path';
+import { createContextLogger } from '../utils/logger.js';
+import { ensureDirectory, removeDirectory } from '../utils/fileSystem.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('Sandbox');
+
+// Caminhos do sistema visíveis (somente leitura) dentro do bubblewrap
+const READ_ONLY_PATHS = [
+  '/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64',
+  '/etc/alternatives', '/etc/ssl', '/etc/ca-certificates', '/etc/resolv.conf', '/etc/hosts',
+  '/etc/nsswitch.conf', '/etc/passwd', '/etc/group', '/etc/localtime',
+  // Instalação do Node fora de /usr (ex.: /opt/node)
+  path.dirname(path.dirname(process.execPath))
+];
+
+// Montados pelo bubblewrap além do projeto e do HOME: um ENOENT aqui é um arquivo que realmente não existe
+const MOUNTED_PATHS = [...READ_ONLY_PATHS, '/tmp', '/proc', '/dev'];
+
+// PATH dos comandos: o Node do servidor e os diretórios padrão do sistema
+const SANDBOX_PATH = [...new Set([path.dirname(process.execPath), '/usr/local/bin', '/usr/bin', '/bin'])].join(':');
+
+// Isolamento resolvido na inicialização (bubblewrap ou basic) e ferramentas encontradas
+let sandbox = null;
+let initialization = null;
+
+const findExecutable = async (name) => {
+  for (const dir of (process.env.PATH || '').split(':').filter(Boolean)) {
+    const candidate = path.join(dir, name);
+    try {
+      await fs.access(candidate, fsConstants.X_OK);
+      return candidate;
+    } catch {
+      // Próximo diretório do PATH
+    }
+  }
+  return null;
+};
+
+const isInside = (filePath, dir) => filePath === dir || filePath.startsWith(`${dir}/`);
+
+// O usuário do sandbox precisa atravessar todos os diretórios até dir (permissão de execução)
+const isTraversableBy = async (dir, { uid, gid }) => {
+  let current = path.resolve(dir);
+
+  for (;;) {
+    const stats = await fs.stat(current);
+    const bit = stats.uid === uid ? 0o100 : stats.gid === gid ? 0o010 : 0o001;
+    if (!(stats.mode & bit)) {
+      return false;
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return true;
+    }
+    current = parent;
+  }
+};
+
+// Sem listagem do diretório de previews: um build não descobre os IDs dos outros (a travessia continua liberada)
+const restrictPreviewsListing = async () => {
+  const { mode } = await fs.stat(config.previewsDir);
+  const permissions = mode & 0o777;
+  const restricted = (permissions & ~0o066) | 0o011;
+
+  if (permissions !== restricted) {
+    await fs.chmod(config.previewsDir, restricted);
+    logger.warn('Permissões de PREVIEWS_DIR alteradas para impedir a listagem pelo usuário do sandbox', {
+      dir: config.previewsDir,
+      from: permissions.toString(8),
+      to: restricted.toString(8)
+    });
+  }
+};
+
+// Executar um comando curto e devolver o código de saída (sondagem do bubblewrap)
+const probe = (file, args, options) => new Promise((resolve) => {
+  const child = spawn(file, args, { ...options, stdio: 'ignore' });
+  child.on('error', () => resolve(-1));
+  child.on('close', code => resolve(code));
+});
+
+// Ambiente mínimo dos comandos: nada do ambiente do servidor (segredos, chaves) passa sem estar na allowlist
+const buildEnvironment = (homeDir, env = {}) => {
+  const { memoryBytes, envPassthrough } = config.sandbox;
+  const passthrough = Object.fromEntries(
+    envPassthrough.filter(name => process.env[name] !== undefined).map(name => [name, process.env[name]])
+  );
+
+  return {
+    PATH: SANDBOX_PATH,
+    HOME: homeDir,
+    TMPDIR: sandbox.isolation === 'bubblewrap' ? '/tmp' : path.join(homeDir, 'tmp'),
+    LANG: 'C.UTF-8',
+    CI: 'true',
+    NEXT_TELEMETRY_DISABLED: '1',
+    ASTRO_TELEMETRY_DISABLED: '1',
+    npm_config_update_notifier: 'false',
+    // Heap do V8 abaixo do limite de memória: o build falha com "heap out of memory" em vez de ser abortado
+    NODE_OPTIONS: `--max-old-space-size=${Math.floor(memoryBytes * 0.75 / 1024 / 1024)}`,
+    ...passthrough,
+    ...env
+  };
+};
+
+const bubblewrapArgs = (projectDir, homeDir) => {
+  const args = ['--die-with-parent', '--unshare-all', '--share-net', '--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp'];
+
+  for (const dir of new Set(READ_ONLY_PATHS)) {
+    args.push('--ro-bind-try', dir, dir);
+  }
+
+  // Escrita só no projeto e no HOME do comando
+  args.push('--bind', homeDir, homeDir);
+  if (projectDir) {
+    args.push('--bind', projectDir, projectDir);
+  }
+  args.push('--chdir', projectDir || homeDir);
+
+  return args;
+};
+
+// HOME próprio de cada comando dentro de SANDBOX_HOME_DIR, removido ao final: o que um build escrever em
+// ~/.npmrc ou nos caches do npm/pnpm/corepack nunca chega ao comando de outro build
+const createCommandHome = async ({ switchUser }) => {
+  const homeDir = await fs.mkdtemp(path.join(config.sandbox.homeDir, 'run-'));
+  await fs.mkdir(path.join(homeDir, 'tmp'));
+  if (switchUser) {
+    const { uid, gid } = config.sandbox;
+    await fs.chown(homeDir, uid, gid);
+    await fs.chown(path.join(homeDir, 'tmp'), uid, gid);
+  }
+  return homeDir;
+};
+
+const removeCommandHome = (homeDir) => removeDirectory(homeDir).catch(error => {
+  logger.warn('Falha ao remover o HOME do comando', { homeDir, error: error.message });
+});
+
+const prlimitArgs = () => {
+  const { cpuSeconds, memoryBytes, maxProcesses } = config.sandbox;
+  // SIGXCPU no limite de CPU e SIGKILL alguns segundos depois, se o processo ignorar o sinal
+  return [`--cpu=${cpuSeconds}:${cpuSeconds + 5}`, `--data=${memoryBytes}`, `--nproc=${maxProcesses}`, '--core=0'];
+};
+
+// Resolver o isolamento disponível e preparar o HOME do sandbox (na inicialização)
+export const initializeSandbox = async () => {
+  const { mode, uid, gid, homeDir } = config.sandbox;
+  if (!['auto', 'bubblewrap', 'basic'].includes(mode)) {
+    throw new Error(`SANDBOX_MODE inválido: ${mode} (use auto, bubblewrap ou basic)`);
+  }
+
+  // Só root pode trocar de usuário; fora disso os comandos rodam com o usuário do servidor
+  const switchUser = process.getuid?.() === 0;
+  const user = switchUser ? { uid, gid } : {};
+
+  // SANDBOX_HOME_DIR só guarda os HOMEs dos comandos: do servidor e sem listagem (o sandbox apenas atravessa)
+  await ensureDirectory(homeDir);
+  await fs.chmod(homeDir, switchUser ? 0o711 : 0o700);
+  for (const entry of await fs.readdir(homeDir)) {
+    if (entry.startsWith('run-')) {
+      await removeCommandHome(path.join(homeDir, entry));
+    }
+  }
+
+  if (switchUser) {
+    await fs.chown(homeDir, process.getuid(), process.getgid());
+    await restrictPreviewsListing();
+
+    // Rodando como root, os builds nunca caem para o usuário do servidor: sem acesso aos diretórios, não inicia
+    for (const dir of [config.previewsDir, homeDir]) {
+      if (!(await isTraversableBy(dir, { uid, gid }))) {
+        throw new Error(`Usuário do sandbox (uid ${uid}) não tem acesso a ${dir}: libere a permissão de execução (o+x) nos diretórios ` +
+          'acima dele ou aponte PREVIEWS_DIR e SANDBOX_HOME_DIR para fora de diretórios privados');
+      }
+    }
+  }
+
+  const prlimitPath = await findExecutable('prlimit');
+  const bwrapPath = mode === 'basic' ? null : await findExecutable('bwrap');
+
+  // O bubblewrap sem setuid depende de user namespaces sem privilégio, nem sempre liberados
+  let isolation = 'basic';
+  if (bwrapPath) {
+    const probeHome = await createCommandHome({ switchUser });
+    const code = await probe(bwrapPath, [...bubblewrapArgs(null, probeHome), '--', 'true'], { cwd: probeHome, env: { PATH: SANDBOX_PATH }, ...user });
+    await removeCommandHome(probeHome);
+    if (code === 0) {
+      isolation = 'bubblewrap';
+    } else {
+      logger.warn('bubblewrap encontrado, mas não pôde criar o sandbox', { bwrapPath, code });
+    }
+  }
+
+  if (mode === 'bubblewrap' && isolation !== 'bubblewrap') {
+    throw new Error('SANDBOX_MODE=bubblewrap, mas o bubblewrap (bwrap) não está disponível ou não pôde criar o sandbox');
+  }
+
+  sandbox = { isolation, bwrapPath, prlimitPath, switchUser, user };
+
+  if (!prlimitPath) {
+    logger.warn('prlimit não encontrado: limites de CPU, memória e processos não serão aplicados aos builds');
+  }
+  if (!switchUser) {
+    logger.warn('Servidor não está rodando como root: comandos de build usam o usuário do próprio servidor');
+  }
+  logger.info('Sandbox de build configurado', getSandboxStatus());
+};
+
+const ensureSandbox = () => {
+  initialization ||= initializeSandbox();
+  return initialization;
+};
+
+export const getSandboxStatus = () => sandbox && {
+  isolation: sandbox.isolation,
+  user: sandbox.switchUser ? `${config.sandbox.uid}:${config.sandbox.gid}` : 'server',
+  limits: sandbox.prlimitPath
+    ? { cpuSeconds: config.sandbox.cpuSeconds, memoryBytes: config.sandbox.memoryBytes, maxProcesses: config.sandbox.maxProcesses }
+    : null
+};
+
+// Comandos rodam com SANDBOX_UID/SANDBOX_GID (servidor como root e diretórios acessíveis)
+export const isSandboxUserSwitched = () => Boolean(sandbox?.switchUser);
+
+// Comando e opções do spawn dentro do sandbox: prlimit -> bwrap -> comando, sem shell,
+// com o ambiente da allowlist, o usuário do sandbox e um HOME novo. Sem projectDir o comando roda no
+// próprio HOME. cleanup() remove o HOME e deve ser chamado quando o comando terminar
+export const createSandboxedCommand = async (cmd, args, projectDir, { env } = {}) => {
+  await ensureSandbox();
+  const homeDir = await createCommandHome(sandbox);
+
+  let command = [cmd, ...args];
+  if (sandbox.isolation === 'bubblewrap') {
+    command = [sandbox.bwrapPath, ...bubblewrapArgs(projectDir, homeDir), '--', ...command];
+  }
+  if (sandbox.prlimitPath) {
+    command = [sandbox.prlimitPath, ...prlimitArgs(), '--', ...command];
+  }
+
+  const [file, ...fileArgs] = command;
+  return {
+    file,
+    args: fileArgs,
+    options: {
+      cwd: projectDir || homeDir,
+      env: buildEnvironment(homeDir, env),
+      shell: false,
+      ...sandbox.user
+    },
+    cleanup: () => removeCommandHome(homeDir)
+  };
+};
+
+// Trocar o dono de uma árvore de arquivos; filter decide quais entradas mudam
+const chownTree = async (dir, { uid, gid }, filter = () => true) => {
+  const walk = async (current) => {
+    const stats = await fs.lstat(current);
+    if ((stats.uid !== uid || stats.gid !== gid) && filter(stats)) {
+      await fs.lchown(current, uid, gid);
+    }
+    if (stats.isDirectory()) {
+      for (const entry of await fs.readdir(current)) {
+        await walk(path.join(current, entry));
+      }
+    }
+  };
+
+  await walk(dir);
+};
+
+// Passar o projeto para o usuário do sandbox antes de instalar ou construir. Arquivos com mais de um
+// hardlink (node_modules restaurado do cache) ficam com o servidor: o sandbox pode substituí-los,
+// mas não alterar o conteúdo compartilhado com o cache
+export const prepareSandboxDirectory = async (dir) => {
+  await ensureSandbox();
+  if (sandbox.switchUser) {
+    await chownTree(dir, config.sandbox, stats => stats.isDirectory() || stats.nlink === 1);
+  }
+};
+
+// Devolver a árvore ao usuário do servidor depois do build (previews publicados e entradas do cache),
+// para que comandos de outros builds não possam alterá-la
+export const reclaimSandboxDirectory = async (dir) => {
+  await ensureSandbox();
+  if (sandbox.switchUser) {
+    await chownTree(dir, { uid: process.getuid(), gid: process.getgid() });
+  }
+};
+
+// Falha causada por um limite do sandbox ou por acesso fora do projeto, a partir do código de saída,
+// do sinal e da saída do comando. Retorna { violation, message } ou null
+export const detectSandboxViolation = ({ output = '', code, signal }, { projectDir } = {}) => {
+  const { cpuSeconds, memoryBytes, maxProcesses, homeDir } = config.sandbox;
+  const limited = Boolean(sandbox?.prlimitPath);
+
+  // SIGXCPU = 24; o bubblewrap e os shells repassam como 128 + sinal
+  if (limited && (signal === 'SIGXCPU' || code === 152 || /SIGXCPU|CPU time limit exceeded/.test(output))) {
+    return { violation: 'cpu_time', message: `Limite de tempo de CPU do sandbox excedido (${cpuSeconds}s por processo)` };
+  }
+  // Sem prlimit, falta de memória é uma falha comum do build (categoria out_of_memory)
+  if (limited && /JavaScript heap out of memory|Array buffer allocation failed|\bENOMEM\b|Cannot allocate memory/.test(output)) {
+    return { violation: 'memory', message: `Limite de memória do sandbox excedido (${Math.round(memoryBytes / 1024 / 1024)}MB)` };
+  }
+  if (limited && /\bEAGAIN\b|Resource temporarily unavailable/.test(output)) {
+    return { violation: 'processes', message: `Limite de processos do sandbox excedido (${maxProcesses})` };
+  }
+
+  // Acesso negado a um caminho fora do projeto e do HOME do sandbox. No bubblewrap esses caminhos nem
+  // existem: ENOENT também conta, exceto nos diretórios montados dentro do sandbox
+  const errors = sandbox?.isolation === 'bubblewrap' ? 'EACCES|EPERM|EROFS|ENOENT' : 'EACCES|EPERM|EROFS';
+  for (const match of output.matchAll(new RegExp(`\\b(${errors})\\b[^\\n']*'(\\/[^']+)'`, 'g'))) {
+    const [, code, deniedPath] = match;
+    if (code === 'ENOENT' && MOUNTED_PATHS.some(dir => isInside(deniedPath, dir))) {
+      continue;
+    }
+    if (!isInside(deniedPath, projectDir) && !isInside(deniedPath, homeDir)) {
+      return { violation: 'filesystem', message: `Acesso negado fora do diretório do projeto: ${deniedPath}`, path: deniedPath };
+    }
+  }
+
+  return null;
+};
+
+export default {
+  initializeSandbox,
+  getSandboxStatus,
+  isSandboxUserSwitched,
+  createSandboxedCommand,
+  prepareSandboxDirectory,
+  reclaimSandboxDirectory,
+  detectSandboxViolation
+};
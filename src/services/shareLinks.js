@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { nanoid } from 'nanoid';
+import { createContextLogger } from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { previewStore } from './previewService.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('ShareLinks');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Sem SHARE_LINK_SECRET, os links assinados deixam de valer quando o servidor reinicia
+const secret = config.shareLinkSecret || crypto.randomBytes(32).toString('hex');
+if (!config.shareLinkSecret) {
+  logger.warn('SHARE_LINK_SECRET não configurado: links de compartilhamento serão invalidados ao reiniciar');
+}
+
+// Sessões abertas com a senha do preview usam um linkId reservado (links têm 12 caracteres)
+const PASSWORD_SESSION = 'password';
+
+const sign = (previewId, linkId, exp) =>
+  crypto.createHmac('sha256', secret).update(`${previewId}.${linkId}.${exp}`).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Token de acesso: "<exp>.<linkId>.<assinatura>", com exp em segundos (epoch)
+export const createShareToken = (previewId, linkId, expiresAt) => {
+  const exp = Math.floor(Date.parse(expiresAt) / 1000);
+  return `${exp}.${linkId}.${sign(previewId, linkId, exp)}`;
+};
+
+// Validar um token: assinatura, expiração e link ainda não revogado
+export const verifyShareToken = (previewId, token) => {
+  const [exp, linkId, signature] = String(token || '').split('.');
+  if (!exp || !linkId || !signature || !/^\d+$/.test(exp)) {
+    return null;
+  }
+
+  if (!safeEqual(signature, sign(previewId, linkId, exp)) || Number(exp) * 1000 <= Date.now()) {
+    return null;
+  }
+
+  const record = previewStore.get(previewId);
+  if (linkId === PASSWORD_SESSION) {
+    return record?.access?.passwordHash ? { id: PASSWORD_SESSION, expiresAt: new Date(Number(exp) * 1000).toISOString() } : null;
+  }
+
+  return record?.shareLinks?.find(link => link.id === linkId) || null;
+};
+
+// Token de sessão emitido depois de uma senha válida, para não verificar a senha a cada asset
+export const createPasswordSessionToken = (previewId) => {
+  const expiresAt = new Date(Date.now() + config.previewSessionTtlMs).toISOString();
+  return { token: createShareToken(previewId, PASSWORD_SESSION, expiresAt), expiresAt };
+};
+
+// Hash da senha de um preview (scrypt com salt aleatório)
+export const hashPreviewPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = await scrypt(password, salt, 32);
+  return `scrypt:${salt}:${hash.toString('base64url')}`;
+};
+
+export const verifyPreviewPassword = async (password, passwordHash) => {
+  const [scheme, salt, expected] = String(passwordHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const hash = await scrypt(password, salt, 32);
+  return safeEqual(hash.toString('base64url'), expected);
+};
+
+const getProtectedRecord = (previewId) => {
+  const record = previewStore.get(previewId);
+  if (!record) {
+    throw new AppError(`Preview não encontrado: ${previewId}`, 404);
+  }
+
+  if (!record.access?.protected) {
+    throw new AppError('Preview não é protegido; links de compartilhamento só se aplicam a previews protegidos', 409);
+  }
+
+  return record;
+};
+
+const activeLinks = (record) => (record.shareLinks || []).filter(link => Date.parse(link.expiresAt) > Date.now());
+
+export const listShareLinks = (previewId) => activeLinks(getProtectedRecord(previewId));
+
+// Criar um link de compartilhamento; retorna o link e o token (o token não é guardado)
+export const createShareLink = async (previewId, { ttlMs, label }) => {
+  const record = getProtectedRecord(previewId);
+  const now = Date.now();
+
+  const link = {
+    id: nanoid(12),
+    label,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString()
+  };
+
+  await previewStore.update(previewId, { shareLinks: [...activeLinks(record), link] });
+
+  logger.info('Link de compartilhamento criado', { previewId, linkId: link.id, expiresAt: link.expiresAt });
+  return { link, token: createShareToken(previewId, link.id, link.expiresAt) };
+};
+
+export const revokeShareLink = async (previewId, linkId) => {
+  const record = getProtectedRecord(previewId);
+  const links = record.shareLinks || [];
+
+  if (!links.some(link => link.id === linkId)) {
+    throw new AppError(`Link de compartilhamento não encontrado: ${linkId}`, 404);
+  }
+
+  await previewStore.update(previewId, { shareLinks: activeLinks(record).filter(link => link.id !== linkId) });
+
+  logger.info('Link de compartilhamento revogado', { previewId, linkId });
+};
+
+export default {
+  createShareToken,
+  verifyShareToken,
+  createPasswordSessionToken,
+  hashPreviewPassword,
+  verifyPreviewPassword,
+  listShareLinks,
+  createShareLink,
+  revokeShareLink
+};
@@ -0,0 +1,343 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { nanoid } from 'nanoid';
+import { Agent, fetch } from 'undici';
+import { createContextLogger } from '../utils/logger.js';
+import { getApiKeyById } from '../middleware/auth.js';
+import { MetadataStore } from './metadataStore.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('Webhooks');
+
+export const WEBHOOK_EVENTS = ['build.succeeded', 'build.failed', 'preview.expired'];
+
+// Tentativas de entrega dos webhooks, persistidas para consulta e para retomar após um restart
+export const deliveryStore = new MetadataStore(config.webhookDeliveriesFile);
+
+// Sem WEBHOOK_SECRET, as assinaturas mudam a cada restart e os receptores não conseguem validá-las
+const defaultSecret = config.webhookSecret || crypto.randomBytes(32).toString('hex');
+if (!config.webhookSecret) {
+  logger.warn('WEBHOOK_SECRET não configurado: assinaturas dos webhooks usam uma chave temporária');
+}
+
+// Destinos que os webhooks não alcançam sem estar em WEBHOOK_ALLOWED_ADDRESSES: loopback, redes privadas,
+// link-local (metadados de nuvem em 169.254.169.254), multicast e faixas reservadas
+const blockedNetworks = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedNetworks.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedNetworks.addSubnet(network, prefix, 'ipv6');
+}
+
+// Endereços ou redes (CIDR) liberados mesmo estando nas faixas bloqueadas
+const allowedNetworks = new net.BlockList();
+for (const entry of config.webhookAllowedAddresses) {
+  const [address, prefix] = entry.split('/');
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  if (!net.isIP(address)) {
+    throw new Error(`WEBHOOK_ALLOWED_ADDRESSES inválido: ${entry} (use endereços IP ou redes CIDR)`);
+  }
+
+  if (prefix) {
+    allowedNetworks.addSubnet(address, parseInt(prefix), family);
+  } else {
+    allowedNetworks.addAddress(address, family);
+  }
+}
+
+// IPv4 mapeado em IPv6 (::ffff:127.0.0.1, ou ::ffff:7f00:1 na forma normalizada pela URL) segue as regras do IPv4
+const unmapIPv4 = (address) => {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) {
+    return dotted[1];
+  }
+
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  }
+
+  return address;
+};
+
+const isBlockedAddress = (address) => {
+  const ip = unmapIPv4(address);
+  const family = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+  return blockedNetworks.check(ip, family) && !allowedNetworks.check(ip, family);
+};
+
+// Destino bloqueado não é tentado de novo
+class BlockedDestinationError extends Error {}
+
+const assertAllowedAddress = (host, address) => {
+  if (isBlockedAddress(address)) {
+    throw new BlockedDestinationError(`Destino do webhook não permitido: ${host} resolve para um endereço interno (${address})`);
+  }
+};
+
+// Resolução de nomes da conexão do webhook: a verificação acontece no mesmo lookup que escolhe o endereço
+// conectado, então um DNS com rebinding não troca o destino por 127.0.0.1 depois da checagem
+const lookupAllowedAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    try {
+      addresses.forEach(({ address }) => assertAllowedAddress(hostname, address));
+    } catch (blockedError) {
+      callback(blockedError);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+const webhookAgent = new Agent({ connect: { lookup: lookupAllowedAddress } });
+
+// Hosts que já são um IP não passam pelo lookup
+const assertAllowedDestination = (url) => {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    assertAllowedAddress(host, host);
+  }
+};
+
+// Entregas agendadas (deliveryId -> timer)
+const retryTimers = new Map();
+
+// Destinos de um build: callbackUrl da requisição e o webhook da chave de API. O dono (tenant)
+// acompanha cada destino para o histórico de entregas ser filtrado por ele
+export const resolveWebhookTargets = ({ callbackUrl, apiKey, owner } = {}) => {
+  const targets = [];
+
+  if (callbackUrl) {
+    targets.push({ url: callbackUrl, owner });
+  }
+
+  if (apiKey?.webhook && apiKey.webhook.url !== callbackUrl) {
+    targets.push({ url: apiKey.webhook.url, keyId: apiKey.id, owner });
+  }
+
+  return targets;
+};
+
+// Assinatura: HMAC-SHA256 de "<timestamp>.<corpo>", em hex
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// O webhook da chave pode ter o próprio segredo; os demais usam WEBHOOK_SECRET
+const resolveSecret = (delivery) =>
+  (delivery.keyId && getApiKeyById(delivery.keyId)?.webhook?.secret) || defaultSecret;
+
+// Espera antes da próxima tentativa: base * 2^(tentativa - 1), com até 10% de jitter
+const backoffDelay = (attempt) => {
+  const delay = Math.min(config.webhookRetryBaseMs * 2 ** (attempt - 1), config.webhookRetryMaxMs);
+  return Math.round(delay * (1 + Math.random() * 0.1));
+};
+
+const scheduleDelivery = (delivery) => {
+  clearTimeout(retryTimers.get(delivery.id));
+
+  const timer = setTimeout(() => {
+    retryTimers.delete(delivery.id);
+    attemptDelivery(delivery.id).catch(error => {
+      logger.error('Erro ao entregar webhook', { deliveryId: delivery.id, error: error.message });
+    });
+  }, Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now()));
+
+  // Entregas pendentes não mantêm o processo vivo
+  timer.unref();
+  retryTimers.set(delivery.id, timer);
+};
+
+const attemptDelivery = async (deliveryId) => {
+  const delivery = deliveryStore.get(deliveryId);
+  if (!delivery || delivery.status !== 'pending') {
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startTime = Date.now();
+  const attempt = { number: delivery.attempts.length + 1, at: new Date(startTime).toISOString() };
+  let blocked = false;
+
+  try {
+    assertAllowedDestination(delivery.url);
+
+    const response = await fetch(delivery.url, {
+      dispatcher: webhookAgent,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'robust-preview-server-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(resolveSecret(delivery), timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.webhookTimeoutMs)
+    });
+
+    attempt.statusCode = response.status;
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    // Falhas de conexão chegam do fetch com a causa original (inclusive o bloqueio feito no lookup)
+    const cause = error instanceof BlockedDestinationError ? error : error.cause;
+    blocked = cause instanceof BlockedDestinationError;
+    attempt.error = error.name === 'TimeoutError' ? `Timeout de ${config.webhookTimeoutMs}ms` : blocked ? cause.message : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startTime;
+  const attempts = [...delivery.attempts, attempt];
+
+  if (!attempt.error) {
+    await deliveryStore.update(deliveryId, { status: 'delivered', attempts, nextAttemptAt: null, deliveredAt: attempt.at });
+    logger.info('Webhook entregue', { deliveryId, event: delivery.event, attempts: attempts.length });
+    return;
+  }
+
+  if (blocked || attempts.length >= config.webhookMaxAttempts) {
+    await deliveryStore.update(deliveryId, { status: 'failed', attempts, nextAttemptAt: null });
+    logger.warn(blocked ? 'Webhook descartado: destino não permitido' : 'Webhook descartado após esgotar as tentativas', {
+      deliveryId,
+      event: delivery.event,
+      error: attempt.error
+    });
+    return;
+  }
+
+  const updated = await deliveryStore.update(deliveryId, {
+    attempts,
+    nextAttemptAt: new Date(Date.now() + backoffDelay(attempts.length)).toISOString()
+  });
+
+  logger.warn('Falha na entrega do webhook, nova tentativa agendada', {
+    deliveryId,
+    event: delivery.event,
+    error: attempt.error,
+    nextAttemptAt: updated.nextAttemptAt
+  });
+  scheduleDelivery(updated);
+};
+
+// Enfileirar um evento para cada destino; a entrega acontece em segundo plano
+export const emitWebhookEvent = async (event, data, targets = []) => {
+  const deliveries = [];
+
+  for (const target of targets) {
+    const id = nanoid();
+    const now = new Date().toISOString();
+
+    const delivery = {
+      id,
+      event,
+      previewId: data.previewId,
+      url: target.url,
+      keyId: target.keyId,
+      owner: target.owner,
+      status: 'pending',
+      payload: { id, event, createdAt: now, data },
+      attempts: [],
+      createdAt: now,
+      nextAttemptAt: now
+    };
+
+    await deliveryStore.put(delivery);
+    scheduleDelivery(delivery);
+    deliveries.push(delivery);
+  }
+
+  if (deliveries.length > 0) {
+    logger.debug('Evento de webhook enfileirado', { event, previewId: data.previewId, deliveries: deliveries.length });
+  }
+
+  return deliveries;
+};
+
+// Descartar entregas concluídas mais antigas que WEBHOOK_DELIVERY_RETENTION_MS
+export const pruneWebhookDeliveries = async () => {
+  const cutoff = Date.now() - config.webhookDeliveryRetentionMs;
+  let removed = 0;
+
+  for (const delivery of deliveryStore.all()) {
+    if (delivery.status !== 'pending' && Date.parse(delivery.createdAt) < cutoff) {
+      await deliveryStore.delete(delivery.id);
+      removed++;
+    }
+  }
+
+  return removed;
+};
+
+// Carregar o histórico e retomar as entregas pendentes (na inicialização)
+export const loadWebhookDeliveries = async () => {
+  await deliveryStore.load();
+  await pruneWebhookDeliveries();
+
+  const pending = deliveryStore.all().filter(delivery => delivery.status === 'pending');
+  pending.forEach(scheduleDelivery);
+
+  await deliveryStore.compact();
+  logger.info('Entregas de webhooks carregadas', { deliveries: deliveryStore.all().length, resumed: pending.length });
+};
+
+export const stopWebhookDeliveries = () => {
+  for (const timer of retryTimers.values()) {
+    clearTimeout(timer);
+  }
+  retryTimers.clear();
+  return deliveryStore.flush();
+};
+
+// Histórico de entregas, mais recentes primeiro (o payload fica só nos detalhes)
+export const listDeliveries = ({ previewId, event, status, owner, page = 1, limit = 20 } = {}) => {
+  const filtered = deliveryStore.all()
+    .filter(delivery => !owner || delivery.owner === owner)
+    .filter(delivery => !previewId || delivery.previewId === previewId)
+    .filter(delivery => !event || delivery.event === event)
+    .filter(delivery => !status || delivery.status === status)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+  return {
+    deliveries: filtered.slice((page - 1) * limit, page * limit).map(({ payload, ...delivery }) => delivery),
+    pagination: {
+      page,
+      limit,
+      total: filtered.length,
+      pages: Math.ceil(filtered.length / limit)
+    }
+  };
+};
+
+export const getDelivery = (deliveryId) => deliveryStore.get(deliveryId);
+
+export default {
+  WEBHOOK_EVENTS,
+  deliveryStore,
+  resolveWebhookTargets,
+  signWebhookPayload,
+  emitWebhookEvent,
+  pruneWebhookDeliveries,
+  loadWebhookDeliveries,
+  stopWebhookDeliveries,
+  listDeliveries,
+  getDelivery
+};
@@ -0,0 +1,267 @@
+import zlib from 'zlib';
+import yauzl from 'yauzl';
+import tar from 'tar-stream';
+import { createContextLogger } from './logger.js';
+import { isSafeFilePath, isDependencyPath } from './validation.js';
+import { AppError } from '../middleware/errorHandler.js';
+import config from '../config/index.js';
+
+const logger = createContextLogger('Archive');
+
+// Content-Types aceitos para envio do projeto como corpo bruto
+export const ARCHIVE_CONTENT_TYPES = [
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/gzip',
+  'application/x-gzip'
+];
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const GZIP_SIGNATURE = Buffer.from([0x1f, 0x8b]);
+
+// Tipo de arquivo de link simbólico nos atributos Unix de uma entrada zip
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Metadados de sistema que não fazem parte do projeto
+const IGNORED_ENTRY = /(^|\/)(__MACOSX\/|\.DS_Store$)/;
+
+// Controle de limites compartilhado entre zip e tar.gz
+const createLimits = (compressedSize) => {
+  let totalSize = 0;
+  let fileCount = 0;
+
+  return {
+    addFile() {
+      fileCount++;
+      if (fileCount > config.maxArchiveFiles) {
+        throw new AppError(`Muitos arquivos no pacote. Máximo permitido: ${config.maxArchiveFiles}`, 400);
+      }
+    },
+
+    // Chamado a cada trecho descompactado: aborta bombas antes de descompactar tudo
+    addBytes(bytes) {
+      totalSize += bytes;
+
+      if (totalSize > config.maxProjectSize) {
+        throw new AppError(`Projeto muito grande depois de descompactado. Máximo: ${Math.round(config.maxProjectSize / 1024 / 1024)}MB`, 413);
+      }
+
+      if (totalSize / compressedSize > config.maxArchiveRatio) {
+        throw new AppError(`Taxa de compressão suspeita (maior que ${config.maxArchiveRatio}:1). Pacote rejeitado`, 400);
+      }
+    },
+
+    get totalSize() {
+      return totalSize;
+    },
+
+    get fileCount() {
+      return fileCount;
+    }
+  };
+};
+
+// Normalizar e validar o caminho de uma entrada (zip-slip)
+const entryPath = (name) => {
+  const normalized = name.replace(/^\.\//, '');
+
+  if (normalized.includes('\\') || !isSafeFilePath(normalized)) {
+    throw new AppError(`Caminho inválido no pacote: ${name}`, 400);
+  }
+
+  return normalized;
+};
+
+// Ler um stream de entrada para Buffer respeitando os limites
+const readEntryStream = (stream, limits) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+
+    stream.on('data', (chunk) => {
+      try {
+        limits.addBytes(chunk.length);
+        chunks.push(chunk);
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+      }
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+
+const extractZip = (buffer, limits) =>
+  new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: true }, (openError, zipfile) => {
+      if (openError) {
+        return reject(new AppError(`Arquivo zip inválido: ${openError.message}`, 400));
+      }
+
+      const files = {};
+      let declaredSize = 0;
+
+      const fail = (error) => {
+        zipfile.close();
+        reject(error);
+      };
+
+      zipfile.on('entry', async (entry) => {
+        try {
+          if (entry.fileName.endsWith('/') || IGNORED_ENTRY.test(entry.fileName)) {
+            zipfile.readEntry();
+            return;
+          }
+
+          const mode = (entry.externalFileAttributes >>> 16) & S_IFMT;
+          if (mode === S_IFLNK) {
+            throw new AppError(`Links simbólicos não são permitidos: ${entry.fileName}`, 400);
+          }
+
+          const filePath = entryPath(entry.fileName);
+          limits.addFile();
+
+          // Tamanho declarado no diretório central: rejeitar antes de descompactar
+          declaredSize += entry.uncompressedSize;
+          if (declaredSize > config.maxProjectSize || declaredSize / buffer.length > config.maxArchiveRatio) {
+            throw new AppError('Conteúdo descompactado excede os limites permitidos', 413);
+          }
+
+          zipfile.openReadStream(entry, async (streamError, stream) => {
+            if (streamError) {
+              return fail(new AppError(`Erro ao ler ${entry.fileName}: ${streamError.message}`, 400));
+            }
+
+            try {
+              files[filePath] = await readEntryStream(stream, limits);
+              zipfile.readEntry();
+            } catch (error) {
+              fail(error);
+            }
+          });
+        } catch (error) {
+          fail(error);
+        }
+      });
+
+      zipfile.on('end', () => resolve(files));
+      zipfile.on('error', (error) => fail(new AppError(`Arquivo zip inválido: ${error.message}`, 400)));
+      zipfile.readEntry();
+    });
+  });
+
+const extractTarGz = (buffer, limits) =>
+  new Promise((resolve, reject) => {
+    const files = {};
+    const gunzip = zlib.createGunzip();
+    const extract = tar.extract();
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      gunzip.destroy();
+      extract.destroy();
+      reject(error);
+    };
+
+    extract.on('entry', async (header, stream, next) => {
+      try {
+        if (header.type === 'directory' || IGNORED_ENTRY.test(header.name)) {
+          stream.resume();
+          stream.on('end', next);
+          return;
+        }
+
+        if (header.type === 'symlink' || header.type === 'link') {
+          throw new AppError(`Links simbólicos não são permitidos: ${header.name}`, 400);
+        }
+
+        if (header.type !== 'file') {
+          throw new AppError(`Tipo de entrada não suportado no pacote: ${header.name}`, 400);
+        }
+
+        const filePath = entryPath(header.name);
+        limits.addFile();
+
+        files[filePath] = await readEntryStream(stream, limits);
+        next();
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    extract.on('finish', () => resolve(files));
+    extract.on('error', (error) => fail(new AppError(`Arquivo tar.gz inválido: ${error.message}`, 400)));
+    gunzip.on('error', (error) => fail(new AppError(`Arquivo gzip inválido: ${error.message}`, 400)));
+
+    gunzip.pipe(extract);
+    gunzip.end(buffer);
+  });
+
+// Remover um diretório raiz comum (ex.: "meu-app/package.json" -> "package.json")
+const stripCommonRoot = (files) => {
+  const paths = Object.keys(files);
+  const [first] = paths;
+  const root = first?.includes('/') ? first.slice(0, first.indexOf('/') + 1) : null;
+
+  if (!root || !paths.every(filePath => filePath.startsWith(root))) {
+    return files;
+  }
+
+  return Object.fromEntries(paths.map(filePath => [filePath.slice(root.length), files[filePath]]));
+};
+
+// Extrair um zip ou tar.gz em memória para o mesmo formato de "files" do payload JSON
+export const extractArchive = async (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new AppError('Arquivo compactado vazio', 400);
+  }
+
+  const limits = createLimits(buffer.length);
+  let files;
+  let format;
+
+  if (buffer.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+    format = 'zip';
+    files = await extractZip(buffer, limits);
+  } else if (buffer.subarray(0, GZIP_SIGNATURE.length).equals(GZIP_SIGNATURE)) {
+    format = 'tar.gz';
+    files = await extractTarGz(buffer, limits);
+  } else {
+    throw new AppError('Formato de arquivo não suportado. Envie um .zip ou .tar.gz', 415);
+  }
+
+  files = stripCommonRoot(files);
+
+  // Depois de remover a raiz: "meu-app/node_modules/..." também conta
+  const dependencyPath = Object.keys(files).find(isDependencyPath);
+  if (dependencyPath) {
+    throw new AppError(`O pacote não pode conter node_modules: ${dependencyPath}`, 400);
+  }
+
+  if (Object.keys(files).length === 0) {
+    throw new AppError('Arquivo compactado não contém arquivos', 400);
+  }
+
+  logger.info('Arquivo compactado extraído', {
+    format,
+    compressedSize: buffer.length,
+    totalSize: limits.totalSize,
+    fileCount: limits.fileCount
+  });
+
+  return {
+    files,
+    format,
+    totalSize: limits.totalSize,
+    fileCount: limits.fileCount
+  };
+};
+
+export default {
+  ARCHIVE_CONTENT_TYPES,
+  extractArchive
+};
@@ -1,6 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { createContextLogger } from './logger.js';
+import { isEncodedFileEntry } from './validation.js';
 import config from '../config/index.js';
 
 const logger = createContextLogger('FileSystem');
@@ -22,6 +23,13 @@ export const writeFileSecure = async (filePath, content) => {
     // Garantir que o diretório pai existe
     await ensureDirectory(path.dirname(filePath));
     
+    // Arquivos binários chegam em base64 (ou já como Buffer, vindos de pacotes) e são gravados como bytes
+    if (Buffer.isBuffer(content) || isEncodedFileEntry(content)) {
+      await fs.writeFile(filePath, Buffer.isBuffer(content) ? content : Buffer.from(content.content, 'base64'));
+      logger.debug(`Arquivo binário escrito: ${filePath}`);
+      return;
+    }
+
     // Converter conteúdo para string se necessário
     const fileContent = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
     
@@ -76,49 +84,87 @@ export const getDirectorySize = async (dirPath) => {
   }
 };
 
-// Remover diretório recursivamente
-export const removeDirectory = async (dirPath) => {
+// Contar arquivos de um diretório (recursivo)
+export const countFiles = async (dirPath) => {
   try {
-    await fs.rm(dirPath, { recursive: true, force: true });
-    logger.debug(`Diretório removido: ${dirPath}`);
+    let total = 0;
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      total += entry.isDirectory() ? await countFiles(path.join(dirPath, entry.name)) : 1;
+    }
+
+    return total;
   } catch (error) {
-    logger.error(`Erro ao remover diretório ${dirPath}:`, { error: error.message });
-    throw new Error(`Falha ao remover diretório: ${error.message}`);
+    logger.error(`Erro ao contar arquivos do diretório ${dirPath}:`, { error: error.message });
+    return 0;
   }
 };
 
-// Limpeza automática de previews antigos
-export const cleanupOldPreviews = async () => {
-  try {
-    const previewsDir = config.previewsDir;
-    
-    if (!(await directoryExists(previewsDir))) {
-      return;
-    }
-    
-    const entries = await fs.readdir(previewsDir, { withFileTypes: true });
-    const now = Date.now();
-    let cleanedCount = 0;
-    
-    for (const entry of entries) {
-      if (entry.isDirectory()) {
-        const dirPath = path.join(previewsDir, entry.name);
-        const stats = await fs.stat(dirPath);
-        const ageMs = now - stats.mtimeMs;
-        
-        if (ageMs > config.previewMaxAgeMs) {
-          await removeDirectory(dirPath);
-          cleanedCount++;
-          logger.info(`Preview antigo removido: ${entry.name}`, { ageHours: Math.round(ageMs / (1000 * 60 * 60)) });
+// Replicar uma árvore de diretórios com hardlinks (ou cópias, com mode "copy"). Symlinks são recriados
+// com o mesmo alvo: os do pnpm e os de node_modules/.bin são relativos e continuam válidos no destino
+export const linkDirectory = async (source, target, { mode = 'hardlink' } = {}) => {
+  await fs.mkdir(target, { recursive: true });
+  const entries = await fs.readdir(source, { withFileTypes: true });
+
+  await Promise.all(entries.map(async (entry) => {
+    const from = path.join(source, entry.name);
+    const to = path.join(target, entry.name);
+
+    if (entry.isDirectory()) {
+      await linkDirectory(from, to, { mode });
+    } else if (entry.isSymbolicLink()) {
+      await fs.symlink(await fs.readlink(from), to);
+    } else if (mode === 'hardlink') {
+      try {
+        await fs.link(from, to);
+      } catch (error) {
+        // Outro sistema de arquivos ou limite de links: cópia comum
+        if (!['EXDEV', 'EPERM', 'EMLINK'].includes(error.code)) {
+          throw error;
         }
+        await fs.copyFile(from, to);
       }
+    } else {
+      await fs.copyFile(from, to);
     }
-    
-    if (cleanedCount > 0) {
-      logger.info(`Limpeza concluída: ${cleanedCount} previews removidos`);
+  }));
+};
+
+// Caminho absoluto dentro de um diretório (ou o próprio diretório)
+export const isPathInside = (filePath, dir) => filePath === dir || filePath.startsWith(`${dir}${path.sep}`);
+
+// Links simbólicos de uma árvore cujo alvo fica fora de root (ou não existe e apontaria para fora).
+// O servidor lê e escreve essas árvores fora do sandbox, então só links internos são seguros
+export const findEscapingSymlinks = async (dir, root = dir) => {
+  const realRoot = await fs.realpath(root);
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+  const escaping = [];
+
+  for (const entry of entries) {
+    if (!entry.isSymbolicLink()) {
+      continue;
     }
+
+    const linkPath = path.join(entry.parentPath ?? entry.path, entry.name);
+    const target = await fs.realpath(linkPath)
+      .catch(async () => path.resolve(await fs.realpath(path.dirname(linkPath)), await fs.readlink(linkPath)));
+    if (!isPathInside(target, realRoot)) {
+      escaping.push(linkPath);
+    }
+  }
+
+  return escaping;
+};
+
+// Remover diretório recursivamente
+export const removeDirectory = async (dirPath) => {
+  try {
+    await fs.rm(dirPath, { recursive: true, force: true });
+    logger.debug(`Diretório removido: ${dirPath}`);
   } catch (error) {
-    logger.error('Erro durante limpeza automática:', { error: error.message });
+    logger.error(`Erro ao remover diretório ${dirPath}:`, { error: error.message });
+    throw new Error(`Falha ao remover diretório: ${error.message}`);
   }
 };
 
@@ -149,8 +195,11 @@ export default {
   directoryExists,
   fileExists,
   getDirectorySize,
+  countFiles,
+  linkDirectory,
+  isPathInside,
+  findEscapingSymlinks,
   removeDirectory,
-  cleanupOldPreviews,
   checkDiskSpace
 };
 
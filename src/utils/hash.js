@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import { isEncodedFileEntry } from './validation.js';
+
+// Bytes de um arquivo do payload, como serão gravados em disco
+const fileBytes = (content) => {
+  if (Buffer.isBuffer(content)) {
+    return content;
+  }
+  if (isEncodedFileEntry(content)) {
+    return Buffer.from(content.content, 'base64');
+  }
+  return Buffer.from(typeof content === 'string' ? content : JSON.stringify(content, null, 2), 'utf8');
+};
+
+// Hash estável do conjunto de arquivos (independente da ordem das chaves e da codificação)
+export const hashProjectFiles = (files) => {
+  const hash = crypto.createHash('sha256');
+
+  for (const filePath of Object.keys(files).sort()) {
+    const bytes = fileBytes(files[filePath]);
+    hash.update(`${filePath}\0${bytes.length}\0`);
+    hash.update(bytes);
+  }
+
+  return hash.digest('hex');
+};
+
+// JSON com as chaves em ordem, para que opções equivalentes gerem a mesma hash
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Hash de um build: arquivos (hashProjectFiles) mais as opções que mudam o preview publicado
+export const hashBuildInput = (sourceHash, options) =>
+  crypto.createHash('sha256').update(`${sourceHash}\0${stableStringify(options)}`).digest('hex');
+
+export default { hashProjectFiles, hashBuildInput };
@@ -1,31 +1,180 @@
 import Joi from 'joi';
 import path from 'path';
 import sanitizeFilename from 'sanitize-filename';
+import config from '../config/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const DATA_URI_PREFIX = /^data:[\w.+-]+\/[\w.+-]+(?:;[\w-]+=[\w.-]+)*;base64,/i;
+const BASE64_CONTENT = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Tamanho em bytes de um conteúdo base64 depois de decodificado
+export const decodedBase64Size = (content) => {
+  const padding = content.endsWith('==') ? 2 : content.endsWith('=') ? 1 : 0;
+  return Math.floor(content.length * 3 / 4) - padding;
+};
+
+// Arquivo binário enviado como { encoding: "base64", content: "..." }
+export const isEncodedFileEntry = (content) =>
+  content !== null && typeof content === 'object' && content.encoding === 'base64' && typeof content.content === 'string';
+
+const encodedFileSchema = Joi.object({
+  encoding: Joi.string().valid('base64').required(),
+  content: Joi.string().allow('').custom((value, helpers) => {
+    // Aceitar também data URIs (data:image/png;base64,...)
+    const normalized = value.replace(DATA_URI_PREFIX, '').replace(/\s/g, '');
+
+    if (normalized.length % 4 !== 0 || !BASE64_CONTENT.test(normalized)) {
+      return helpers.message('"content" deve ser base64 válido');
+    }
+
+    if (decodedBase64Size(normalized) > config.maxBinaryFileSize) {
+      return helpers.message(`"content" excede o tamanho máximo de ${Math.round(config.maxBinaryFileSize / 1024 / 1024)}MB decodificado`);
+    }
+
+    return normalized;
+  }, 'base64 content').required()
+});
+
+// Validação de path seguro (também usada para entradas de arquivos compactados)
+export const isSafeFilePath = (value) => {
+  if (value.includes('..') || path.isAbsolute(value)) {
+    return false;
+  }
+  
+  // Permitir paths com barras (diretórios)
+  const normalizedPath = path.normalize(value);
+  if (normalizedPath !== value && !value.includes('/')) {
+    return false;
+  }
+  
+  return true;
+};
+
+// node_modules vem da instalação (e vai para o cache compartilhado): nunca do cliente
+export const isDependencyPath = (value) => /^node_modules(\/|$)/.test(value);
+
+// IDs gerados pelo nanoid (previews, jobs e links); qualquer outra coisa pode ser path traversal
+export const isSafeId = (value) => typeof value === 'string' && /^[\w-]+$/.test(value);
+
+// Nome de alias (/p/<nome>/): seguro para URL, no formato de um slug de branch (ex.: "feature-login")
+const ALIAS_NAME_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+export const isAliasName = (value) => typeof value === 'string' && ALIAS_NAME_PATTERN.test(value);
+
+// Diretivas de CSP que um build pode sobrescrever (frame-ancestors vem de PREVIEW_FRAME_ANCESTORS)
+export const PREVIEW_CSP_DIRECTIVES = [
+  'default-src',
+  'script-src',
+  'style-src',
+  'img-src',
+  'connect-src',
+  'font-src',
+  'media-src',
+  'frame-src',
+  'worker-src',
+  'manifest-src',
+  'child-src',
+  'object-src',
+  'base-uri',
+  'form-action'
+];
+
+// Opções de build, comuns ao payload JSON e ao envio de arquivo compactado
+export const buildOptionsSchema = Joi.object({
+  async: Joi.boolean().default(false), // Responder 202 com o ID do job em vez de aguardar o build
+  mode: Joi.string().valid('auto', 'static').default('auto'), // "static" publica sem instalação nem build
+  spa: Joi.alternatives().try(Joi.boolean(), Joi.string().valid('auto')).default('auto'), // Fallback de rotas para index.html
+  timeouts: Joi.object({ // Limites menores que os configurados, por fase (ms)
+    install: Joi.number().integer().min(1000),
+    build: Joi.number().integer().min(1000)
+  }).default({}),
+  access: Joi.object({ // Preview protegido por links assinados e, opcionalmente, senha
+    protected: Joi.boolean().default(false),
+    password: Joi.string().min(8).max(128)
+  }).default({}),
+  reuse: Joi.boolean().default(true), // Devolver um preview ativo gerado com os mesmos arquivos e opções
+  unique: Joi.boolean().default(false), // Com reuse, exigir um ID novo (cópia do dist, apenas com PREVIEW_ROUTING=host)
+  alias: Joi.string().pattern(ALIAS_NAME_PATTERN, 'alias'), // Apontar o alias para o preview quando o build terminar com sucesso
+  callbackUrl: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048), // Webhook com o resultado do build
+  securityHeaders: Joi.object({ // Sobrescritas da política de headers do preview
+    csp: Joi.object().pattern(
+      Joi.string().valid(...PREVIEW_CSP_DIRECTIVES),
+      Joi.array().items(Joi.string().pattern(/^[^\s;,]+$/).max(256)).min(1).max(32)
+    ),
+    frameAncestors: Joi.array().items(Joi.string().pattern(/^[^\s;,]+$/).max(256)).min(1).max(32) // subconjunto de PREVIEW_FRAME_ANCESTORS
+  })
+});
+
+const projectFilePathSchema = Joi.string().custom((value, helpers) => {
+  if (!isSafeFilePath(value) || isDependencyPath(value)) {
+    return helpers.error('any.invalid');
+  }
+  
+  return value;
+}, 'safe file path');
+
+const fileContentSchema = Joi.alternatives().conditional('.encoding', {
+  is: Joi.exist(),
+  then: encodedFileSchema, // Arquivo binário em base64
+  otherwise: Joi.alternatives().try(
+    Joi.string().max(1024 * 1024), // 1MB por arquivo de texto
+    Joi.object()
+  )
+});
 
 // Schema para validação do payload de build
-export const buildPayloadSchema = Joi.object({
-  files: Joi.object().pattern(
-    Joi.string().custom((value, helpers) => {
-      // Validação de path seguro
-      if (value.includes('..') || path.isAbsolute(value)) {
-        return helpers.error('any.invalid');
-      }
-      
-      // Permitir paths com barras (diretórios)
-      const normalizedPath = path.normalize(value);
-      if (normalizedPath !== value && !value.includes('/')) {
-        return helpers.error('any.invalid');
-      }
-      
-      return value;
-    }, 'safe file path'),
-    Joi.alternatives().try(
-      Joi.string().max(1024 * 1024), // 1MB por arquivo de texto
-      Joi.object()
-    )
-  ).min(1).max(100).required() // Mínimo 1 arquivo, máximo 100
+export const buildPayloadSchema = buildOptionsSchema.keys({
+  files: Joi.object().pattern(projectFilePathSchema, fileContentSchema).min(1).max(100).required() // Mínimo 1 arquivo, máximo 100
+}).required();
+
+// Atualização incremental de um preview: arquivos novos/alterados e caminhos removidos
+// (node_modules é mantido pelo servidor e não pode ser alterado diretamente)
+export const updateFilesSchema = Joi.object({
+  async: buildOptionsSchema.extract('async'),
+  timeouts: buildOptionsSchema.extract('timeouts'),
+  files: Joi.object().pattern(projectFilePathSchema, fileContentSchema).min(1).max(100),
+  deleted: Joi.array().items(projectFilePathSchema).min(1).max(100).unique()
+}).or('files', 'deleted').required();
+
+// Apontar um alias para um preview
+export const pointAliasSchema = Joi.object({
+  previewId: Joi.string().pattern(/^[\w-]+$/).required()
 }).required();
 
+// Rollback de um alias: um preview do histórico ou N destinos antes do atual (padrão: o anterior)
+export const rollbackAliasSchema = Joi.object({
+  previewId: Joi.string().pattern(/^[\w-]+$/),
+  steps: Joi.number().integer().min(1).max(config.aliasHistoryLimit)
+}).oxor('previewId', 'steps').default({});
+
+// Filtros e paginação da listagem de previews
+export const listPreviewsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('building', 'ready', 'unknown'),
+  createdAfter: Joi.date().iso(),
+  createdBefore: Joi.date().iso()
+});
+
+// Filtros do histórico de entregas de webhooks
+export const listDeliveriesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  previewId: Joi.string().pattern(/^[\w-]+$/),
+  event: Joi.string().valid('build.succeeded', 'build.failed', 'preview.expired'),
+  status: Joi.string().valid('pending', 'delivered', 'failed')
+});
+
+// Prorrogação da expiração de um preview (a partir da expiração atual)
+export const extendPreviewSchema = Joi.object({
+  ttlMs: Joi.number().integer().min(60 * 1000).max(config.previewMaxLifetimeMs).default(config.previewMaxAgeMs)
+}).default({});
+
+// Criação de link de compartilhamento de um preview protegido
+export const shareLinkSchema = Joi.object({
+  ttlMs: Joi.number().integer().min(60 * 1000).max(config.shareLinkMaxTtlMs).default(config.shareLinkTtlMs),
+  label: Joi.string().max(100)
+}).default({});
+
 // Validação de tipos de arquivo permitidos
 const allowedExtensions = [
   '.js', '.jsx', '.ts', '.tsx', '.json', '.html', '.css', '.scss', '.sass',
@@ -34,32 +183,98 @@ const allowedExtensions = [
   '.gif', '.webp', '.woff', '.woff2', '.ttf', '.eot'
 ];
 
-export const validateFileExtension = (filePath) => {
+// Assinaturas (magic bytes) dos formatos binários permitidos: [offset, bytes]
+const fileSignatures = {
+  '.png': [[[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]]],
+  '.jpg': [[[0, [0xff, 0xd8, 0xff]]]],
+  '.jpeg': [[[0, [0xff, 0xd8, 0xff]]]],
+  '.gif': [[[0, Buffer.from('GIF87a')]], [[0, Buffer.from('GIF89a')]]],
+  '.webp': [[[0, Buffer.from('RIFF')], [8, Buffer.from('WEBP')]]],
+  '.ico': [[[0, [0x00, 0x00, 0x01, 0x00]]]],
+  '.woff': [[[0, Buffer.from('wOFF')]]],
+  '.woff2': [[[0, Buffer.from('wOF2')]]],
+  '.ttf': [[[0, [0x00, 0x01, 0x00, 0x00]]], [[0, Buffer.from('true')]], [[0, Buffer.from('OTTO')]]],
+  '.eot': [[[34, [0x4c, 0x50]]]]
+};
+
+const SIGNATURE_BYTES = 64;
+
+// Primeiros bytes do conteúdo como ficarão gravados em disco
+const contentHead = (content) => {
+  if (Buffer.isBuffer(content)) {
+    return content.subarray(0, SIGNATURE_BYTES);
+  }
+  if (isEncodedFileEntry(content)) {
+    return Buffer.from(content.content.slice(0, Math.ceil(SIGNATURE_BYTES / 3) * 4), 'base64');
+  }
+  if (typeof content === 'string') {
+    return Buffer.from(content.slice(0, SIGNATURE_BYTES), 'utf8');
+  }
+  return Buffer.from(JSON.stringify(content).slice(0, SIGNATURE_BYTES), 'utf8');
+};
+
+// Verificar se o conteúdo corresponde ao formato indicado pela extensão
+export const matchesFileSignature = (filePath, content) => {
+  const signatures = fileSignatures[path.extname(filePath).toLowerCase()];
+  if (!signatures) {
+    return true;
+  }
+
+  const head = contentHead(content);
+  return signatures.some(parts =>
+    parts.every(([offset, bytes]) =>
+      Buffer.from(bytes).equals(head.subarray(offset, offset + bytes.length))
+    )
+  );
+};
+
+// Com content informado, também verifica a assinatura do arquivo
+export const validateFileExtension = (filePath, content) => {
   const ext = path.extname(filePath).toLowerCase();
-  return allowedExtensions.includes(ext) || ext === '';
+  const allowed = allowedExtensions.includes(ext) || ext === '';
+
+  return allowed && (content === undefined || matchesFileSignature(filePath, content));
 };
 
 // Validação de estrutura de projeto
-export const validateProjectStructure = (files) => {
+export const validateProjectStructure = (files, { mode = 'auto' } = {}) => {
   const fileKeys = Object.keys(files);
+  const hasIndexHtml = fileKeys.includes('index.html');
+
+  // Sites estáticos só precisam de um index.html na raiz
+  if (mode === 'static' && !hasIndexHtml) {
+    throw new AppError('Projeto estático deve conter um index.html na raiz', 400);
+  }
   
-  // Deve ter pelo menos um arquivo de configuração principal
-  const hasMainConfig = fileKeys.some(file => 
-    ['package.json', 'vite.config.js', 'vite.config.ts', 'astro.config.mjs', 'astro.config.js'].includes(file)
+  // Deve ter pelo menos um arquivo de configuração principal (ou ser um site estático)
+  const hasMainConfig = hasIndexHtml || fileKeys.some(file => 
+    [
+      'package.json',
+      'vite.config.js', 'vite.config.ts', 'vite.config.mjs', 'vite.config.mts',
+      'astro.config.mjs', 'astro.config.js', 'astro.config.ts'
+    ].includes(file)
   );
   
   if (!hasMainConfig) {
-    throw new Error('Projeto deve conter pelo menos um arquivo de configuração principal (package.json, vite.config.js, etc.)');
+    throw new AppError('Projeto deve conter pelo menos um arquivo de configuração principal (package.json, vite.config.js, etc.) ou um index.html', 400);
   }
   
-  // Verificar se todos os arquivos têm extensões válidas
-  for (const filePath of fileKeys) {
+  validateProjectFiles(files);
+  
+  return true;
+};
+
+// Verificar se todos os arquivos têm extensões válidas e conteúdo compatível
+export const validateProjectFiles = (files) => {
+  for (const filePath of Object.keys(files)) {
     if (!validateFileExtension(filePath)) {
-      throw new Error(`Extensão de arquivo não permitida: ${path.extname(filePath)}`);
+      throw new AppError(`Extensão de arquivo não permitida: ${path.extname(filePath)}`, 400);
+    }
+
+    if (!matchesFileSignature(filePath, files[filePath])) {
+      throw new AppError(`Conteúdo de ${filePath} não corresponde ao formato ${path.extname(filePath)} (arquivos binários devem ser enviados em base64)`, 400);
     }
   }
-  
-  return true;
 };
 
 // Sanitização de entrada
@@ -71,9 +286,26 @@ export const sanitizeInput = (input) => {
 };
 
 export default {
+  isSafeId,
+  isAliasName,
+  isSafeFilePath,
+  isDependencyPath,
+  listPreviewsQuerySchema,
+  listDeliveriesQuerySchema,
+  extendPreviewSchema,
+  shareLinkSchema,
+  PREVIEW_CSP_DIRECTIVES,
+  buildOptionsSchema,
   buildPayloadSchema,
+  updateFilesSchema,
+  pointAliasSchema,
+  rollbackAliasSchema,
+  decodedBase64Size,
+  isEncodedFileEntry,
+  matchesFileSignature,
   validateFileExtension,
   validateProjectStructure,
+  validateProjectFiles,
   sanitizeInput
 };
 
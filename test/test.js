@@ -1,7 +1,22 @@
 import http from 'http';
+import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs/promises';
+import os from 'os';
+import zlib from 'zlib';
+import tar from 'tar-stream';
+import { detectAdapter, getAdapter, loadProject } from '../src/services/adapters/index.js';
+import { MetadataStore } from '../src/services/metadataStore.js';
+import express from 'express';
+import { loadApiKeys, requireScope, hashApiKey } from '../src/middleware/auth.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import { checkBuildQuota, recordBuildStart, isOwnedByRequester } from '../src/services/quotaService.js';
+import { createRateLimit } from '../src/middleware/security.js';
+import { MemoryStore } from 'express-rate-limit';
+import { parsePreviewHost } from '../src/middleware/previewHost.js';
+import { getPreviewUrl } from '../src/services/buildService.js';
+import { buildQueue } from '../src/services/buildQueue.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -52,6 +67,63 @@ const makeRequest = (options, data = null) => {
   });
 };
 
+// Requisição JSON aguardando o Retry-After quando a suíte passa de um rate limit
+// (builds ou gerenciamento)
+const sendRequest = async (method, path, payload) => {
+  const send = () => makeRequest({
+    hostname: TEST_CONFIG.host,
+    port: TEST_CONFIG.port,
+    path,
+    method,
+    headers: { 'Content-Type': 'application/json' }
+  }, payload);
+
+  const response = await send();
+  if (response.statusCode === 429 && ['build', 'management'].includes(response.body.error?.policy)) {
+    await new Promise(resolve => setTimeout(resolve, (parseInt(response.headers['retry-after']) + 1) * 1000));
+    return send();
+  }
+  return response;
+};
+
+const postBuild = (payload) => sendRequest('POST', '/build', payload);
+
+// Gerar um .tar.gz em memória a partir de entradas [header, conteúdo]
+const createTarGz = (entries) => {
+  return new Promise((resolve, reject) => {
+    const pack = tar.pack();
+    const chunks = [];
+
+    for (const [header, content] of entries) {
+      pack.entry(header, content);
+    }
+    pack.finalize();
+
+    const gzip = pack.pipe(zlib.createGzip());
+    gzip.on('data', chunk => chunks.push(chunk));
+    gzip.on('end', () => resolve(Buffer.concat(chunks)));
+    gzip.on('error', reject);
+  });
+};
+
+// Enviar um corpo binário (sem serializar como JSON)
+const makeRawRequest = (options, buffer) => {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => resolve({
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: res.headers['content-type']?.includes('application/json') ? JSON.parse(body) : body
+      }));
+    });
+
+    req.on('error', reject);
+    req.end(buffer);
+  });
+};
+
 // Testes
 const tests = [];
 
@@ -228,65 +300,1777 @@ export default App`
   }
 });
 
-// Executar testes
-async function runTests() {
-  console.log('🧪 Iniciando testes do servidor...\n');
+// Teste 5: Build assíncrono com consulta de status
+tests.push({
+  name: 'Async Build Job Status',
+  async run() {
+    const response = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/build',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    }, {
+      async: true,
+      files: {
+        'package.json': { name: 'async-app', scripts: { build: 'vite build' } }
+      }
+    });
 
-  let passed = 0;
-  let failed = 0;
+    if (response.statusCode !== 202) {
+      throw new Error(`Expected status 202, got ${response.statusCode}`);
+    }
 
-  for (const test of tests) {
-    try {
-      console.log(`🔄 Executando: ${test.name}`);
-      await test.run();
-      passed++;
-    } catch (error) {
-      console.error(`❌ Falhou: ${test.name}`);
-      console.error(`   Erro: ${error.message}`);
-      failed++;
+    const { jobId, statusUrl } = response.body.data;
+    if (!jobId || statusUrl !== `/builds/${jobId}`) {
+      throw new Error('No job id returned');
     }
-    console.log('');
+
+    const status = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: statusUrl,
+      method: 'GET'
+    });
+
+    if (status.statusCode !== 200) {
+      throw new Error(`Expected status 200, got ${status.statusCode}`);
+    }
+
+    if (status.body.data.phases[0].phase !== 'queued') {
+      throw new Error('Job phases missing queued entry');
+    }
+
+    const missing = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/builds/does-not-exist',
+      method: 'GET'
+    });
+
+    if (missing.statusCode !== 404) {
+      throw new Error(`Expected status 404 for unknown job, got ${missing.statusCode}`);
+    }
+
+    console.log('✅ Async build job passed');
+    console.log(`   Job: ${jobId} (${status.body.data.status})`);
   }
+});
 
-  console.log('📊 Resultados dos testes:');
-  console.log(`   ✅ Passou: ${passed}`);
-  console.log(`   ❌ Falhou: ${failed}`);
-  console.log(`   📈 Total: ${passed + failed}`);
+// Teste 6: Streaming de logs do build via SSE
+tests.push({
+  name: 'Build Log Streaming',
+  async run() {
+    const response = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/build',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    }, {
+      async: true,
+      files: {
+        'package.json': { name: 'log-app', scripts: { build: 'echo preview-log-marker' } }
+      }
+    });
 
-  if (failed > 0) {
-    process.exit(1);
-  } else {
-    console.log('\n🎉 Todos os testes passaram!');
+    const { jobId } = response.body.data;
+
+    // Ler o stream SSE até o evento final
+    const events = await new Promise((resolve, reject) => {
+      const req = http.get({
+        hostname: TEST_CONFIG.host,
+        port: TEST_CONFIG.port,
+        path: `/builds/${jobId}/logs`,
+        headers: { Accept: 'text/event-stream' }
+      }, (res) => {
+        if (!res.headers['content-type']?.includes('text/event-stream')) {
+          reject(new Error(`Unexpected content type: ${res.headers['content-type']}`));
+        }
+
+        let body = '';
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve(body));
+      });
+
+      req.on('error', reject);
+      req.setTimeout(TEST_CONFIG.timeout, () => {
+        req.destroy();
+        reject(new Error('Log stream timeout'));
+      });
+    });
+
+    if (!events.includes('event: end')) {
+      throw new Error('Log stream ended without final event');
+    }
+
+    if (!events.includes('preview-log-marker')) {
+      throw new Error('Build output missing from log stream');
+    }
+
+    console.log('✅ Build log streaming passed');
   }
-}
+});
 
-// Verificar se o servidor está rodando
-async function checkServer() {
-  try {
-    await makeRequest({
+// Teste 7: Timeout de build encerra o processo e informa a fase
+tests.push({
+  name: 'Build Phase Timeout',
+  async run() {
+    const response = await makeRequest({
       hostname: TEST_CONFIG.host,
       port: TEST_CONFIG.port,
-      path: '/',
+      path: '/build',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    }, {
+      timeouts: { build: 2000 },
+      files: {
+        'package.json': { name: 'hanging-app', scripts: { build: 'sleep 60' } }
+      }
+    });
+
+    if (response.statusCode !== 504) {
+      throw new Error(`Expected status 504, got ${response.statusCode}`);
+    }
+
+    if (response.body.error.type !== 'BUILD_TIMEOUT' || response.body.error.phase !== 'building') {
+      throw new Error('Expected BUILD_TIMEOUT error for building phase');
+    }
+
+    console.log('✅ Build phase timeout passed');
+  }
+});
+
+// Teste 8: Detecção de framework pelos adapters (sem servidor)
+tests.push({
+  name: 'Framework Adapter Detection',
+  async run() {
+    const cases = [
+      ['vite', 'react', { 'package.json': { devDependencies: { vite: '^5.0.0', '@vitejs/plugin-react': '^4.0.0' } }, 'vite.config.ts': '' }],
+      ['vite', 'vue', { 'package.json': { devDependencies: { vite: '^5.0.0', '@vitejs/plugin-vue': '^5.0.0' } } }],
+      ['astro', 'astro', { 'package.json': { dependencies: { astro: '^4.0.0' } }, 'astro.config.ts': '' }],
+      ['sveltekit', 'svelte', { 'package.json': { devDependencies: { vite: '^5.0.0', '@sveltejs/kit': '^2.0.0', '@sveltejs/adapter-static': '^3.0.0' } } }],
+      ['next', 'react', { 'package.json': { dependencies: { next: '^14.0.0' }, scripts: { build: 'next build' } } }],
+      ['static', 'html', { 'index.html': '<!DOCTYPE html>' }]
+    ];
+
+    for (const [expectedAdapter, expectedFramework, files] of cases) {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'adapter-test-'));
+
+      try {
+        for (const [name, content] of Object.entries(files)) {
+          await fs.writeFile(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+        }
+
+        const { adapter, project } = await detectAdapter(dir);
+        const framework = adapter?.framework ? adapter.framework(project) : adapter?.name;
+
+        if (adapter?.name !== expectedAdapter || framework !== expectedFramework) {
+          throw new Error(`Expected ${expectedAdapter}/${expectedFramework}, got ${adapter?.name}/${framework}`);
+        }
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    }
+
+    console.log('✅ Framework adapter detection passed');
+  }
+});
+
+// Teste 9: Site estático publicado sem build
+tests.push({
+  name: 'Static Site Without Build',
+  async run() {
+    const response = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/build',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    }, {
+      files: {
+        'index.html': '<!DOCTYPE html><html><head><link rel="stylesheet" href="/styles.css"></head><body>Static</body></html>',
+        'styles.css': 'body { background: url(/bg.png); }'
+      }
+    });
+
+    if (response.statusCode !== 200) {
+      throw new Error(`Expected status 200, got ${response.statusCode}`);
+    }
+
+    if (response.body.data.projectType !== 'static') {
+      throw new Error(`Expected static project, got ${response.body.data.projectType}`);
+    }
+
+    const previewPath = new URL(response.body.data.url).pathname;
+    const page = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: previewPath,
       method: 'GET'
     });
-    return true;
-  } catch (error) {
-    return false;
+
+    if (!page.body.includes(`href="${previewPath}styles.css"`)) {
+      throw new Error('Root-relative asset URL was not rewritten');
+    }
+
+    console.log('✅ Static site without build passed');
+    console.log(`   Preview URL: ${response.body.data.url}`);
   }
-}
+});
 
-// Executar
-if (import.meta.url === `file://${process.argv[1]}`) {
-  console.log('🔍 Verificando se o servidor está rodando...');
-  
-  const isRunning = await checkServer();
-  
-  if (!isRunning) {
-    console.error('❌ Servidor não está rodando. Inicie o servidor primeiro com: npm start');
-    process.exit(1);
-  }
-  
-  console.log('✅ Servidor está rodando\n');
-  await runTests();
-}
+// Teste 10: Arquivos binários em base64 e verificação de assinatura
+tests.push({
+  name: 'Binary Base64 Uploads',
+  async run() {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]);
+
+    const response = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/build',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    }, {
+      files: {
+        'index.html': '<!DOCTYPE html><img src="/logo.png">',
+        'logo.png': { encoding: 'base64', content: png.toString('base64') }
+      }
+    });
+
+    if (response.statusCode !== 200) {
+      throw new Error(`Expected status 200, got ${response.statusCode}`);
+    }
+
+    const image = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: `${new URL(response.body.data.url).pathname}logo.png`,
+      method: 'GET'
+    });
+
+    if (parseInt(image.headers['content-length']) !== png.length || !image.body.includes('PNG')) {
+      throw new Error('Binary file was not written as raw bytes');
+    }
+
+    const mismatch = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/build',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    }, {
+      files: {
+        'index.html': '<!DOCTYPE html>',
+        'fake.png': { encoding: 'base64', content: Buffer.from('<script>alert(1)</script>').toString('base64') }
+      }
+    });
+
+    if (mismatch.statusCode !== 400) {
+      throw new Error(`Expected file signature mismatch to be rejected with 400, got ${mismatch.statusCode}`);
+    }
+
+    console.log('✅ Binary base64 uploads passed');
+  }
+});
+
+// Teste 11: Upload do projeto como .tar.gz e rejeição de entradas perigosas
+tests.push({
+  name: 'Archive Upload',
+  async run() {
+    const uploadArchive = (buffer) => makeRawRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/build?mode=static',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/gzip',
+        'Content-Length': buffer.length
+      }
+    }, buffer);
+
+    const archive = await createTarGz([
+      [{ name: 'site/index.html' }, '<!DOCTYPE html><h1>Archive</h1>'],
+      [{ name: 'site/about.html' }, '<!DOCTYPE html><h1>About</h1>']
+    ]);
+
+    const response = await uploadArchive(archive);
+
+    if (response.statusCode !== 200) {
+      console.error('Build response:', response.body);
+      throw new Error(`Expected status 200, got ${response.statusCode}`);
+    }
+
+    if (response.body.data.fileCount !== 2) {
+      throw new Error(`Expected 2 files, got ${response.body.data.fileCount}`);
+    }
+
+    const zipSlip = await uploadArchive(await createTarGz([
+      [{ name: 'index.html' }, '<!DOCTYPE html>'],
+      [{ name: '../escape.html' }, 'pwned']
+    ]));
+
+    if (zipSlip.statusCode !== 400) {
+      throw new Error(`Expected status 400 for path traversal entry, got ${zipSlip.statusCode}`);
+    }
+
+    const symlink = await uploadArchive(await createTarGz([
+      [{ name: 'index.html' }, '<!DOCTYPE html>'],
+      [{ name: 'secrets.txt', type: 'symlink', linkname: '/etc/passwd' }]
+    ]));
+
+    if (symlink.statusCode !== 400) {
+      throw new Error(`Expected status 400 for symlink entry, got ${symlink.statusCode}`);
+    }
 
+    const planted = await uploadArchive(await createTarGz([
+      [{ name: 'app/index.html' }, '<!DOCTYPE html>'],
+      [{ name: 'app/node_modules/local-lib/index.js' }, 'pwned']
+    ]));
+
+    if (planted.statusCode !== 400) {
+      throw new Error(`Expected status 400 for node_modules entry, got ${planted.statusCode}`);
+    }
+
+    console.log('✅ Archive upload passed');
+  }
+});
+
+// Teste 12: Gerenciamento de previews (listar, detalhar, prorrogar e remover)
+tests.push({
+  name: 'Preview Management API',
+  async run() {
+    const request = (method, requestPath, data = null) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: requestPath,
+      method,
+      headers: data ? { 'Content-Type': 'application/json' } : {}
+    }, data);
+
+    const build = await request('POST', '/build', {
+      files: { 'index.html': '<!DOCTYPE html><h1>Managed</h1>' }
+    });
+    const { projectId } = build.body.data;
+
+    const list = await request('GET', '/previews?status=ready&limit=100');
+    if (!list.body.data.previews.some(preview => preview.id === projectId)) {
+      throw new Error('Preview missing from listing');
+    }
+
+    const details = await request('GET', `/previews/${projectId}`);
+    if (details.statusCode !== 200 || details.body.data.projectType !== 'static' || !details.body.data.fileCount) {
+      throw new Error('Unexpected preview details');
+    }
+
+    const extended = await request('POST', `/previews/${projectId}/extend`, { ttlMs: 60 * 60 * 1000 });
+    if (Date.parse(extended.body.data.expiresAt) <= Date.parse(details.body.data.expiresAt)) {
+      throw new Error('Preview expiry was not extended');
+    }
+
+    const removed = await request('DELETE', `/previews/${projectId}`);
+    if (removed.statusCode !== 200) {
+      throw new Error(`Expected status 200 on delete, got ${removed.statusCode}`);
+    }
+
+    const missing = await request('GET', `/previews/${projectId}`);
+    if (missing.statusCode !== 404) {
+      throw new Error(`Expected status 404 after delete, got ${missing.statusCode}`);
+    }
+
+    console.log('✅ Preview management API passed');
+  }
+});
+
+// Teste 13: Metadados persistidos dos previews
+tests.push({
+  name: 'Preview Metadata Store',
+  async run() {
+    // Persistência: um novo store lê o estado gravado pelo anterior
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'metadata-test-'));
+    try {
+      const filePath = path.join(dir, 'previews.jsonl');
+      const store = new MetadataStore(filePath);
+      await store.load();
+      await store.put({ id: 'a', status: 'ready' });
+      await store.put({ id: 'b', status: 'building' });
+      await store.update('a', { size: 10 });
+      await store.delete('b');
+      await fs.appendFile(filePath, '{"op":"put","rec');
+
+      const reloaded = new MetadataStore(filePath);
+      await reloaded.load();
+      if (reloaded.all().length !== 1 || reloaded.get('a')?.size !== 10 || reloaded.get('b')) {
+        throw new Error('Metadata store did not replay its log');
+      }
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    const request = (method, requestPath, data = null) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: requestPath,
+      method,
+      headers: data ? { 'Content-Type': 'application/json' } : {}
+    }, data);
+
+    const build = await request('POST', '/build', {
+      files: { 'index.html': '<!DOCTYPE html><h1>Tracked</h1>' }
+    });
+    const { projectId } = build.body.data;
+
+    const details = await request('GET', `/previews/${projectId}`);
+    const record = details.body.data;
+    if (!/^[a-f0-9]{64}$/.test(record.sourceHash || '') || !record.owner || record.framework !== 'html') {
+      throw new Error('Preview metadata is missing source hash, owner or framework');
+    }
+
+    const stats = await request('GET', '/stats');
+    if (!stats.body.data.previews.byStatus?.ready || !stats.body.data.previews.totalSize) {
+      throw new Error('Stats do not reflect the metadata store');
+    }
+
+    await request('DELETE', `/previews/${projectId}`);
+
+    console.log('✅ Preview metadata store passed');
+  }
+});
+
+// Teste 14: Autenticação por chave de API com escopos
+tests.push({
+  name: 'API Key Authentication',
+  async run() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-test-'));
+    const keysFile = path.join(dir, 'api-keys.json');
+    await fs.writeFile(keysFile, JSON.stringify([
+      { id: 'ci', hash: hashApiKey('ci-secret'), scopes: ['build:create'] },
+      { id: 'ops', hash: hashApiKey('ops-secret'), scopes: ['*'] },
+      { id: 'other', tenant: 'team-b', hash: hashApiKey('other-secret'), scopes: ['build:create'] },
+      { id: 'auditor', hash: hashApiKey('auditor-secret'), scopes: ['admin:read'] }
+    ]));
+    await loadApiKeys({ file: keysFile, env: null });
+
+    // App mínimo com as mesmas rotas protegidas do servidor
+    const app = express();
+    app.post('/build', requireScope('build:create'), (req, res) => res.json({ owner: req.apiKey.id }));
+    // Recurso do tenant "ci": leitura e escrita como nas rotas de previews, jobs e aliases
+    app.get('/owned', requireScope('build:create', 'admin:read'), (req, res) => res.json({
+      read: isOwnedByRequester(req, 'ci'),
+      write: isOwnedByRequester(req, 'ci', { write: true })
+    }));
+    app.delete('/previews/x', requireScope('preview:delete'), (req, res) => res.json({ ok: true }));
+    app.use(errorHandler);
+    const server = app.listen(0);
+    const { port } = server.address();
+
+    const request = (method, requestPath, headers = {}) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port,
+      path: requestPath,
+      method,
+      headers
+    });
+
+    try {
+      const missing = await request('POST', '/build');
+      if (missing.statusCode !== 401 || missing.body.error.type !== 'AUTH_REQUIRED') {
+        throw new Error(`Expected 401 without key, got ${missing.statusCode}`);
+      }
+
+      const invalid = await request('POST', '/build', { Authorization: 'Bearer wrong' });
+      if (invalid.statusCode !== 401 || invalid.body.error.type !== 'INVALID_API_KEY') {
+        throw new Error(`Expected 401 with invalid key, got ${invalid.statusCode}`);
+      }
+
+      const allowed = await request('POST', '/build', { Authorization: 'Bearer ci-secret' });
+      if (allowed.statusCode !== 200 || allowed.body.owner !== 'ci') {
+        throw new Error(`Expected 200 with build:create key, got ${allowed.statusCode}`);
+      }
+
+      const forbidden = await request('DELETE', '/previews/x', { 'X-API-Key': 'ci-secret' });
+      if (forbidden.statusCode !== 403 || forbidden.body.error.type !== 'INSUFFICIENT_SCOPE') {
+        throw new Error(`Expected 403 without preview:delete scope, got ${forbidden.statusCode}`);
+      }
+
+      const wildcard = await request('DELETE', '/previews/x', { 'X-API-Key': 'ops-secret' });
+      if (wildcard.statusCode !== 200) {
+        throw new Error(`Expected 200 with wildcard scope, got ${wildcard.statusCode}`);
+      }
+
+      // Dono acessa; outro tenant não; admin:read só lê e "*" (admin:write) também altera
+      const expected = { 'ci-secret': [true, true], 'other-secret': [false, false], 'auditor-secret': [true, false], 'ops-secret': [true, true] };
+      for (const [key, [read, write]] of Object.entries(expected)) {
+        const owned = await request('GET', '/owned', { Authorization: `Bearer ${key}` });
+        if (owned.statusCode !== 200 || owned.body.read !== read || owned.body.write !== write) {
+          throw new Error(`Unexpected ownership for ${key}: ${JSON.stringify(owned.body)}`);
+        }
+      }
+    } finally {
+      server.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    console.log('✅ API key authentication passed');
+  }
+});
+
+// Teste 15: Cotas por tenant
+tests.push({
+  name: 'Tenant Quotas',
+  async run() {
+    const quota = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/quota',
+      method: 'GET'
+    });
+
+    const usage = quota.body.data?.quotas;
+    if (quota.statusCode !== 200 || !quota.body.data.tenant || !usage?.buildsPerHour || usage.livePreviews.used === undefined) {
+      throw new Error('Unexpected /quota response');
+    }
+
+    // Limite de builds por hora: o segundo build do tenant é recusado com 429
+    const limits = { buildsPerHour: 1, storageBytes: 0 };
+    checkBuildQuota('quota-test', limits);
+    recordBuildStart('quota-test');
+
+    try {
+      checkBuildQuota('quota-test', limits);
+      throw new Error('Expected buildsPerHour quota to be exceeded');
+    } catch (error) {
+      if (error.statusCode !== 429 || error.quota?.name !== 'buildsPerHour' || !error.retryAfter) {
+        throw error;
+      }
+    }
+
+    // Build ainda na fila já ocupa um preview: uma rajada de requisições não passa do limite
+    const queued = buildQueue.enqueue(() => new Promise(resolve => setTimeout(resolve, 50)), { projectId: 'quota-queued-preview', owner: 'quota-queued' });
+    try {
+      checkBuildQuota('quota-queued', { livePreviews: 1 });
+      throw new Error('Expected queued build to count towards livePreviews');
+    } catch (error) {
+      if (error.statusCode !== 507 || error.quota?.name !== 'livePreviews') {
+        throw error;
+      }
+    }
+    await buildQueue.waitFor(queued.id);
+
+    console.log('✅ Tenant quotas passed');
+  }
+});
+
+// Teste 16: Rate limiting por grupo de rotas
+tests.push({
+  name: 'Rate Limit Policies',
+  async run() {
+    // Assets de preview não são limitados pela política padrão
+    for (let i = 0; i < 80; i++) {
+      const asset = await makeRequest({
+        hostname: TEST_CONFIG.host,
+        port: TEST_CONFIG.port,
+        path: `/preview/missing/assets/chunk-${i}.js`,
+        method: 'GET'
+      });
+      if (asset.statusCode === 429) {
+        throw new Error(`Preview asset ${i} was rate limited`);
+      }
+    }
+
+    // Política estrita com store plugável: contadores separados por chave de API e IP
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ratelimit-test-'));
+    const keysFile = path.join(dir, 'api-keys.json');
+    await fs.writeFile(keysFile, JSON.stringify([
+      { id: 'ci', hash: hashApiKey('ci-secret'), scopes: ['build:create'] }
+    ]));
+    await loadApiKeys({ file: keysFile, env: null });
+
+    const app = express();
+    app.post('/build', createRateLimit('build', { max: 2, store: new MemoryStore() }), (req, res) => res.json({ ok: true }));
+    const server = app.listen(0);
+    const request = (headers = {}) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: server.address().port,
+      path: '/build',
+      method: 'POST',
+      headers
+    });
+
+    try {
+      await request();
+      await request();
+      const limited = await request();
+      if (limited.statusCode !== 429 || limited.body.error.policy !== 'build' || !limited.headers['retry-after']) {
+        throw new Error(`Expected 429 from build policy, got ${limited.statusCode}`);
+      }
+
+      const withKey = await request({ Authorization: 'Bearer ci-secret' });
+      if (withKey.statusCode !== 200) {
+        throw new Error(`Expected API key to have its own counter, got ${withKey.statusCode}`);
+      }
+    } finally {
+      server.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    console.log('✅ Rate limit policies passed');
+  }
+});
+
+// Teste 17: Previews protegidos por senha e links de compartilhamento
+tests.push({
+  name: 'Protected Previews and Share Links',
+  async run() {
+    const request = (method, requestPath, { data = null, headers = {} } = {}) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: requestPath,
+      method,
+      headers: data ? { 'Content-Type': 'application/json', ...headers } : headers
+    }, data);
+
+    const build = await request('POST', '/build', {
+      data: {
+        files: { 'index.html': '<!DOCTYPE html><h1>Client work</h1>' },
+        access: { protected: true, password: 'correct-horse' }
+      }
+    });
+    const { projectId } = build.body.data;
+    const pagePath = `/preview/${projectId}/`;
+
+    const anonymous = await request('GET', pagePath);
+    if (anonymous.statusCode !== 401 || !anonymous.headers['www-authenticate']?.startsWith('Basic')) {
+      throw new Error(`Expected 401 with basic challenge, got ${anonymous.statusCode}`);
+    }
+
+    const wrongPassword = await request('GET', pagePath, {
+      headers: { Authorization: `Basic ${Buffer.from('visitor:wrong').toString('base64')}` }
+    });
+    const withPassword = await request('GET', pagePath, {
+      headers: { Authorization: `Basic ${Buffer.from('visitor:correct-horse').toString('base64')}` }
+    });
+    if (wrongPassword.statusCode !== 401 || withPassword.statusCode !== 200) {
+      throw new Error(`Unexpected basic auth results: ${wrongPassword.statusCode}/${withPassword.statusCode}`);
+    }
+
+    // Senhas erradas seguidas bloqueiam o IP naquele preview, mesmo com a senha certa depois
+    let lockedOut = null;
+    for (let attempt = 0; attempt < 10 && !lockedOut; attempt++) {
+      const guess = await request('GET', pagePath, {
+        headers: { Authorization: `Basic ${Buffer.from(`visitor:guess-${attempt}`).toString('base64')}` }
+      });
+      if (guess.statusCode === 429) {
+        lockedOut = guess;
+      } else if (guess.statusCode !== 401) {
+        throw new Error(`Expected 401 for wrong password, got ${guess.statusCode}`);
+      }
+    }
+    const afterLockout = await request('GET', pagePath, {
+      headers: { Authorization: `Basic ${Buffer.from('visitor:correct-horse').toString('base64')}` }
+    });
+    if (lockedOut?.body.error?.type !== 'PREVIEW_PASSWORD_LOCKED' || !lockedOut.headers['retry-after'] ||
+        afterLockout.statusCode !== 429) {
+      throw new Error(`Expected password lockout, got ${lockedOut?.statusCode}/${afterLockout.statusCode}`);
+    }
+
+    const minted = await request('POST', `/previews/${projectId}/share-links`, { data: { ttlMs: 10 * 60 * 1000 } });
+    const { id: linkId, token } = minted.body.data;
+    if (minted.statusCode !== 201 || !token) {
+      throw new Error(`Expected 201 when minting share link, got ${minted.statusCode}`);
+    }
+
+    const tampered = await request('GET', `${pagePath}?token=${token.replace(/.$/, token.endsWith('A') ? 'B' : 'A')}`);
+    if (tampered.statusCode !== 401) {
+      throw new Error(`Expected 401 for tampered token, got ${tampered.statusCode}`);
+    }
+
+    // O primeiro acesso com token redireciona e deixa um cookie para os assets
+    const firstHit = await request('GET', `${pagePath}?token=${encodeURIComponent(token)}`);
+    const cookie = firstHit.headers['set-cookie']?.[0]?.split(';')[0];
+    if (firstHit.statusCode !== 302 || !cookie) {
+      throw new Error(`Expected redirect with cookie, got ${firstHit.statusCode}`);
+    }
+
+    const withCookie = await request('GET', pagePath, { headers: { Cookie: cookie } });
+    if (withCookie.statusCode !== 200) {
+      throw new Error(`Expected 200 with access cookie, got ${withCookie.statusCode}`);
+    }
+
+    await request('DELETE', `/previews/${projectId}/share-links/${linkId}`);
+    const revoked = await request('GET', pagePath, { headers: { Cookie: cookie } });
+    if (revoked.statusCode !== 401) {
+      throw new Error(`Expected 401 after revoking link, got ${revoked.statusCode}`);
+    }
+
+    const details = await request('GET', `/previews/${projectId}`);
+    if (!details.body.data.access.password || JSON.stringify(details.body).includes('scrypt')) {
+      throw new Error('Preview details should not expose the password hash');
+    }
+
+    await request('DELETE', `/previews/${projectId}`);
+
+    console.log('✅ Protected previews and share links passed');
+  }
+});
+
+// Teste 18: Roteamento de previews por subdomínio
+tests.push({
+  name: 'Host-based Preview Routing',
+  async run() {
+    const suffix = 'previews.example.com';
+
+    if (parsePreviewHost('abc123.previews.example.com', suffix) !== 'abc123' ||
+        parsePreviewHost('ABC123.Previews.Example.com', `${suffix}:8080`) !== 'abc123') {
+      throw new Error('Preview id not parsed from host');
+    }
+
+    if (parsePreviewHost('previews.example.com', suffix) !== null ||
+        parsePreviewHost('a.b.previews.example.com', suffix) !== null ||
+        parsePreviewHost('abc123.evil.com', suffix) !== null) {
+      throw new Error('Unexpected preview host match');
+    }
+
+    const pathUrl = getPreviewUrl('abc123', 'dist', { routing: 'path', baseUrl: 'https://api.example.com' });
+    if (pathUrl !== 'https://api.example.com/preview/abc123/dist/') {
+      throw new Error(`Unexpected path-mode URL: ${pathUrl}`);
+    }
+
+    // No modo padrão (path) o build continua usando /preview/:id/
+    const build = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/build',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' }
+    }, { files: { 'index.html': '<!DOCTYPE html><h1>Routing</h1>' } });
+
+    const { projectId, url } = build.body.data;
+    if (!/^[a-z0-9]+$/.test(projectId) || !url.endsWith(`/preview/${projectId}/`)) {
+      throw new Error(`Expected a subdomain-safe id and path URL, got ${projectId} / ${url}`);
+    }
+
+    console.log('✅ Host-based preview routing passed');
+  }
+});
+
+// Teste 19: Fallback de SPA, 404.html e _redirects/_headers
+tests.push({
+  name: 'Preview Site Rules',
+  async run() {
+    const request = (method, requestPath, data = null) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: requestPath,
+      method,
+      headers: data ? { 'Content-Type': 'application/json' } : {}
+    }, data);
+
+    const spaBuild = await request('POST', '/build', {
+      files: { 'index.html': '<!DOCTYPE html><div id="root">SPA</div>' }
+    });
+    const spaId = spaBuild.body.data.projectId;
+
+    const deepLink = await request('GET', `/preview/${spaId}/dashboard/settings`);
+    if (deepLink.statusCode !== 200 || !deepLink.body.includes('SPA')) {
+      throw new Error(`Expected SPA fallback for client route, got ${deepLink.statusCode}`);
+    }
+
+    const missingAsset = await request('GET', `/preview/${spaId}/assets/missing.js`);
+    if (missingAsset.statusCode !== 404) {
+      throw new Error(`Expected 404 for missing asset, got ${missingAsset.statusCode}`);
+    }
+
+    const siteBuild = await request('POST', '/build', {
+      files: {
+        'index.html': '<!DOCTYPE html><h1>Home</h1>',
+        'about/index.html': '<!DOCTYPE html><h1>About</h1>',
+        '404.html': '<!DOCTYPE html><h1>Custom not found</h1>',
+        '_redirects': '/old /about/ 301\n/docs/* /about/index.html 200',
+        '_headers': '/*\n  X-Preview-Rule: applied\n  Set-Cookie: session=hijack\n  Service-Worker-Allowed: /\n  Access-Control-Allow-Origin: https://evil.example'
+      }
+    });
+    const siteId = siteBuild.body.data.projectId;
+    const base = `/preview/${siteId}`;
+
+    const redirected = await request('GET', `${base}/old`);
+    if (redirected.statusCode !== 301 || redirected.headers.location !== `${base}/about/`) {
+      throw new Error(`Expected scoped 301 redirect, got ${redirected.statusCode} ${redirected.headers.location}`);
+    }
+
+    const rewritten = await request('GET', `${base}/docs/intro`);
+    if (rewritten.statusCode !== 200 || !rewritten.body.includes('About')) {
+      throw new Error(`Expected 200 rewrite, got ${rewritten.statusCode}`);
+    }
+
+    const notFound = await request('GET', `${base}/nope`);
+    if (notFound.statusCode !== 404 || !notFound.body.includes('Custom not found')) {
+      throw new Error(`Expected preview 404.html, got ${notFound.statusCode}`);
+    }
+
+    const home = await request('GET', `${base}/`);
+    if (home.headers['x-preview-rule'] !== 'applied' || home.headers['set-cookie'] ||
+        home.headers['service-worker-allowed'] || home.headers['access-control-allow-origin'] === 'https://evil.example') {
+      throw new Error('Expected _headers to apply without origin-wide headers');
+    }
+
+    // As regras não valem fora do preview nem são servidas como arquivos
+    const rulesFile = await request('GET', `${base}/_redirects`);
+    const otherPreview = await request('GET', `/preview/${spaId}/old`);
+    if (rulesFile.statusCode !== 404 || otherPreview.statusCode === 301) {
+      throw new Error('Site rules leaked outside their preview');
+    }
+
+    await request('DELETE', `/previews/${spaId}`);
+    await request('DELETE', `/previews/${siteId}`);
+
+    console.log('✅ Preview site rules passed');
+  }
+});
+
+// Teste 20: Política de headers dos previews separada da API
+tests.push({
+  name: 'Preview Security Headers',
+  async run() {
+    const request = (method, requestPath, data = null) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: requestPath,
+      method,
+      headers: data ? { 'Content-Type': 'application/json' } : {}
+    }, data);
+
+    // A API mantém a política estrita do helmet
+    const api = await request('GET', '/health');
+    if (!api.headers['x-frame-options'] || !api.headers['content-security-policy'].includes("frame-src 'none'")) {
+      throw new Error('API lost its strict security headers');
+    }
+
+    const build = await request('POST', '/build', {
+      files: { 'index.html': '<!DOCTYPE html><h1>Embeddable</h1>' },
+      securityHeaders: {
+        csp: { 'connect-src': ["'self'", 'https://api.example.com'] },
+        frameAncestors: ["'none'"]
+      }
+    });
+    const previewId = build.body.data.projectId;
+
+    const preview = await request('GET', `/preview/${previewId}/`);
+    const csp = preview.headers['content-security-policy'] || '';
+    if (preview.headers['x-frame-options']) {
+      throw new Error('Preview should rely on frame-ancestors instead of X-Frame-Options');
+    }
+    if (!csp.includes("connect-src 'self' https://api.example.com") || !csp.includes("frame-ancestors 'none'")) {
+      throw new Error(`Per-preview CSP overrides not applied: ${csp}`);
+    }
+
+    // frame-ancestors só aceita origens da allowlist (PREVIEW_FRAME_ANCESTORS)
+    const denied = await request('POST', '/build', {
+      files: { 'index.html': '<!DOCTYPE html><h1>x</h1>' },
+      securityHeaders: { frameAncestors: ['https://evil.example.com'] }
+    });
+    if (denied.statusCode !== 400) {
+      throw new Error(`Expected 400 for origin outside the allowlist, got ${denied.statusCode}`);
+    }
+
+    const invalid = await request('POST', '/build', {
+      files: { 'index.html': '<!DOCTYPE html><h1>x</h1>' },
+      securityHeaders: { csp: { 'script-src': ["'self'; report-uri https://evil.example.com"] } }
+    });
+    if (invalid.statusCode !== 400) {
+      throw new Error(`Expected 400 for CSP directive injection, got ${invalid.statusCode}`);
+    }
+
+    await request('DELETE', `/previews/${previewId}`);
+
+    console.log('✅ Preview security headers passed');
+  }
+});
+
+// Teste 21: Pré-compressão e cache dos assets do preview
+tests.push({
+  name: 'Precompressed Preview Assets',
+  async run() {
+    const request = (method, requestPath, data = null, headers = {}) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: requestPath,
+      method,
+      headers: data ? { 'Content-Type': 'application/json', ...headers } : headers
+    }, data);
+
+    const build = await request('POST', '/build', {
+      files: {
+        'index.html': `<!DOCTYPE html><script src="/assets/index-B7x2kQ9a.js"></script>${'<p>Compressible</p>'.repeat(200)}`,
+        'assets/index-B7x2kQ9a.js': 'console.log("hashed asset");'.repeat(200),
+        'styles.css': 'body { margin: 0; }'.repeat(200)
+      }
+    });
+    const previewId = build.body.data.projectId;
+
+    const html = await request('GET', `/preview/${previewId}/`, null, { 'Accept-Encoding': 'gzip, br' });
+    if (html.headers['content-encoding'] !== 'br' || html.headers['cache-control'] !== 'no-cache') {
+      throw new Error(`Expected brotli HTML with no-cache, got ${html.headers['content-encoding']} / ${html.headers['cache-control']}`);
+    }
+    if (!html.headers['content-type'].startsWith('text/html') || !html.headers.vary.includes('Accept-Encoding')) {
+      throw new Error('Encoded variant must keep the original Content-Type and vary on Accept-Encoding');
+    }
+
+    const hashed = await request('GET', `/preview/${previewId}/assets/index-B7x2kQ9a.js`, null, { 'Accept-Encoding': 'gzip' });
+    if (hashed.headers['content-encoding'] !== 'gzip' || !hashed.headers['cache-control'].includes('immutable')) {
+      throw new Error(`Expected immutable gzip asset, got ${hashed.headers['content-encoding']} / ${hashed.headers['cache-control']}`);
+    }
+
+    const identity = await request('GET', `/preview/${previewId}/styles.css`, null, { 'Accept-Encoding': 'identity' });
+    if (identity.headers['content-encoding'] || !identity.body.startsWith('body { margin: 0; }')) {
+      throw new Error('Clients without gzip/br support must get the original file');
+    }
+    if (identity.headers['cache-control'].includes('immutable')) {
+      throw new Error('Unhashed assets must not be cached as immutable');
+    }
+
+    await request('DELETE', `/previews/${previewId}`);
+
+    console.log('✅ Precompressed preview assets passed');
+  }
+});
+
+// Teste 22: Webhooks de conclusão de build com assinatura e novas tentativas
+tests.push({
+  name: 'Build Webhooks',
+  async run() {
+    const request = (method, requestPath, data = null) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: requestPath,
+      method,
+      headers: data ? { 'Content-Type': 'application/json' } : {}
+    }, data);
+
+    // Receptor local: a primeira entrega de cada evento falha com 500
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        const event = JSON.parse(body);
+        const attempt = received.filter(entry => entry.body.id === event.id).length + 1;
+        received.push({ headers: req.headers, body: event, attempt });
+        res.writeHead(attempt === 1 ? 500 : 204).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const callbackUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    const waitForDelivery = async (previewId, event) => {
+      for (let i = 0; i < 40; i++) {
+        const response = await request('GET', `/webhooks/deliveries?previewId=${previewId}&event=${event}`);
+        const [delivery] = response.body.data.deliveries;
+        if (delivery && delivery.status !== 'pending') {
+          return delivery;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      throw new Error(`Delivery of ${event} did not finish`);
+    };
+
+    try {
+      const invalid = await request('POST', '/build', {
+        files: { 'index.html': '<h1>x</h1>' },
+        callbackUrl: 'ftp://example.com/hook'
+      });
+      if (invalid.statusCode !== 400) {
+        throw new Error(`Expected 400 for non-http callbackUrl, got ${invalid.statusCode}`);
+      }
+
+      const build = await request('POST', '/build', {
+        files: { 'index.html': '<!DOCTYPE html><h1>Webhook</h1>' },
+        callbackUrl
+      });
+      const previewId = build.body.data.projectId;
+
+      const delivery = await waitForDelivery(previewId, 'build.succeeded');
+      if (delivery.status !== 'delivered' || delivery.attempts.length !== 2 || delivery.attempts[0].statusCode !== 500) {
+        throw new Error(`Expected delivery after one retry, got ${JSON.stringify(delivery)}`);
+      }
+
+      const [first] = received;
+      if (first.headers['x-webhook-event'] !== 'build.succeeded' || !/^sha256=[a-f0-9]{64}$/.test(first.headers['x-webhook-signature'])) {
+        throw new Error('Missing webhook event or signature headers');
+      }
+      if (first.body.data.previewId !== previewId || !first.body.data.url.includes(previewId) || typeof first.body.data.duration !== 'number') {
+        throw new Error(`Unexpected build.succeeded payload: ${JSON.stringify(first.body)}`);
+      }
+
+      const details = await request('GET', `/webhooks/deliveries/${delivery.id}`);
+      if (details.body.data.payload.event !== 'build.succeeded') {
+        throw new Error('Delivery details should include the payload');
+      }
+
+      await request('POST', '/build', {
+        files: {
+          'package.json': JSON.stringify({ name: 'broken', scripts: { build: 'node -e "process.exit(1)"' } }),
+          'index.html': '<h1>x</h1>'
+        },
+        callbackUrl
+      });
+      const failedDeliveries = await request('GET', '/webhooks/deliveries?event=build.failed');
+      const failedId = failedDeliveries.body.data.deliveries.find(entry => entry.url === callbackUrl)?.previewId;
+      if (!failedId) {
+        throw new Error('Expected build.failed delivery to be recorded');
+      }
+
+      await waitForDelivery(failedId, 'build.failed');
+      const failure = received.find(entry => entry.body.event === 'build.failed');
+      if (!failure.body.data.error?.message || failure.body.data.error.phase !== 'building') {
+        throw new Error(`Expected error summary with phase, got ${JSON.stringify(failure.body.data)}`);
+      }
+
+      // Endereços internos fora de WEBHOOK_ALLOWED_ADDRESSES não recebem entregas
+      const internal = await request('POST', '/build', {
+        files: { 'index.html': '<!DOCTYPE html><h1>Internal webhook</h1>' },
+        callbackUrl: 'http://169.254.169.254/latest/meta-data/'
+      });
+      const blocked = await waitForDelivery(internal.body.data.projectId, 'build.succeeded');
+      if (blocked.status !== 'failed' || blocked.attempts.length !== 1 || !blocked.attempts[0].error.includes('não permitido')) {
+        throw new Error(`Expected link-local webhook to be blocked, got ${JSON.stringify(blocked)}`);
+      }
+
+      // Previews não expõem os destinos dos webhooks
+      const preview = await request('GET', `/previews/${previewId}`);
+      if (preview.body.data.webhooks) {
+        throw new Error('Webhook targets should not be exposed');
+      }
+
+      await request('DELETE', `/previews/${previewId}`);
+    } finally {
+      receiver.close();
+    }
+
+    console.log('✅ Build webhooks passed');
+  }
+});
+
+// Teste 23: Métricas no formato Prometheus
+tests.push({
+  name: 'Prometheus Metrics',
+  async run() {
+    const request = (method, requestPath, data = null) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: requestPath,
+      method,
+      headers: data ? { 'Content-Type': 'application/json' } : {}
+    }, data);
+
+    const build = await request('POST', '/build', {
+      files: { 'index.html': '<!DOCTYPE html><h1>Metrics</h1>' }
+    });
+    await request('GET', `/previews/${build.body.data.projectId}`);
+
+    const response = await request('GET', '/metrics');
+    if (response.statusCode !== 200 || !response.headers['content-type'].startsWith('text/plain')) {
+      throw new Error(`Expected Prometheus text format, got ${response.statusCode} ${response.headers['content-type']}`);
+    }
+
+    const expected = [
+      /^preview_builds_total\{result="succeeded",framework="html"\} [1-9]/m,
+      /^preview_build_phase_duration_seconds_count\{phase="write"\} [1-9]/m,
+      /^preview_install_fallbacks_total \d+/m,
+      /^preview_build_queue_depth \d+/m,
+      /^preview_builds_active \d+/m,
+      /^preview_previews\{status="ready"\} [1-9]/m,
+      /^preview_previews_bytes \d+/m,
+      /^preview_cleanup_removals_total \d+/m,
+      /^preview_rate_limit_rejections_total\{policy="build"\} \d+/m,
+      // Rotas agrupadas pelo padrão, sem uma série por ID
+      /^preview_http_request_duration_seconds_count\{method="GET",route="\/previews\/:id",status_code="200"\} [1-9]/m
+    ];
+
+    for (const pattern of expected) {
+      if (!pattern.test(response.body)) {
+        throw new Error(`Metric not found: ${pattern}`);
+      }
+    }
+
+    await request('DELETE', `/previews/${build.body.data.projectId}`);
+
+    console.log('✅ Prometheus metrics passed');
+  }
+});
+
+// Teste 24: Diagnósticos estruturados de falhas de build
+tests.push({
+  name: 'Structured Build Diagnostics',
+  async run() {
+    // Script de build que imprime erros no formato do TypeScript e do esbuild e termina com erro
+    const failingScript = [
+      "console.log(\"src/App.tsx(12,5): error TS2322: Type 'string' is not assignable to type 'number'.\");",
+      "console.error('✘ [ERROR] Could not resolve \"./missing\"\\n\\n    src/main.ts:1:20:\\n');",
+      'process.exit(2);'
+    ].join('\n');
+
+    const response = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/build',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' }
+    }, {
+      files: {
+        'package.json': JSON.stringify({ name: 'diagnostics', scripts: { build: 'node fail.js' } }),
+        'fail.js': failingScript,
+        'index.html': '<h1>x</h1>'
+      }
+    });
+
+    const { error } = response.body;
+    if (response.statusCode !== 422 || error.type !== 'BUILD_FAILED' || error.phase !== 'building') {
+      throw new Error(`Expected 422 BUILD_FAILED in building phase, got ${response.statusCode} ${JSON.stringify(error)}`);
+    }
+
+    if (error.category !== 'type_error') {
+      throw new Error(`Expected type_error category, got ${error.category}`);
+    }
+
+    const [typeError, resolveError] = error.diagnostics;
+    const expected = { file: 'src/App.tsx', line: 12, column: 5, severity: 'error', phase: 'building' };
+    for (const [field, value] of Object.entries(expected)) {
+      if (typeError?.[field] !== value) {
+        throw new Error(`Unexpected TypeScript diagnostic: ${JSON.stringify(typeError)}`);
+      }
+    }
+    if (!typeError.message.startsWith("Type 'string'")) {
+      throw new Error(`Unexpected diagnostic message: ${typeError.message}`);
+    }
+
+    if (resolveError?.file !== 'src/main.ts' || resolveError.line !== 1 || resolveError.column !== 20) {
+      throw new Error(`Unexpected esbuild diagnostic: ${JSON.stringify(resolveError)}`);
+    }
+
+    if (typeof error.log !== 'string' || !error.log.includes('TS2322')) {
+      throw new Error('Failure response should include the raw log');
+    }
+
+    console.log('✅ Structured build diagnostics passed');
+  }
+});
+
+// Teste 25: Cache de dependências compartilhado entre builds
+tests.push({
+  name: 'Dependency Cache',
+  async run() {
+    const request = (method, path, body) => makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json' }
+    }, body);
+
+    // Dependência local (file:) para não depender do registry; só build.js muda entre os builds
+    const build = (marker) => postBuild({
+      files: {
+        'package.json': JSON.stringify({
+          name: 'dependency-cache',
+          dependencies: { 'local-lib': 'file:./local-lib' },
+          scripts: { build: 'node build.js' }
+        }),
+        'local-lib/package.json': JSON.stringify({ name: 'local-lib', version: '1.0.0', main: 'index.js' }),
+        'local-lib/index.js': "module.exports = 'from-lib';",
+        'build.js': [
+          "const fs = require('fs');",
+          "fs.mkdirSync('dist', { recursive: true });",
+          `fs.writeFileSync('dist/index.html', '<h1>' + require('local-lib') + ' ${marker}</h1>');`
+        ].join('\n')
+      }
+    });
+
+    const expectCache = (response, expected) => {
+      if (response.statusCode !== 200 || response.body.data.dependencyCache !== expected) {
+        throw new Error(`Expected dependency cache ${expected}, got ${response.statusCode} ${JSON.stringify(response.body)}`);
+      }
+    };
+
+    // node_modules vem só da instalação: arquivos plantados acabariam no cache compartilhado
+    const planted = await postBuild({
+      files: {
+        'index.html': '<!DOCTYPE html>',
+        'node_modules/local-lib/index.js': "module.exports = 'pwned';"
+      }
+    });
+    if (planted.statusCode !== 400) {
+      throw new Error(`node_modules paths should be rejected, got ${planted.statusCode}`);
+    }
+
+    expectCache(await build('first'), 'miss');
+
+    const cached = await build('second');
+    expectCache(cached, 'hit');
+
+    // node_modules restaurado do cache resolve a dependência no build
+    const page = await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: `/preview/${cached.body.data.projectId}/dist/index.html`,
+      method: 'GET'
+    });
+    if (!String(page.body).includes('from-lib second')) {
+      throw new Error(`Unexpected preview content: ${page.body}`);
+    }
+
+    const stats = await request('GET', '/admin/dependency-cache');
+    if (stats.body.data.entries < 1 || stats.body.data.hits < 1) {
+      throw new Error(`Unexpected cache stats: ${JSON.stringify(stats.body.data)}`);
+    }
+
+    const purge = await request('DELETE', '/admin/dependency-cache');
+    if (purge.body.data.removed < 1) {
+      throw new Error(`Purge should remove the cached entry: ${JSON.stringify(purge.body.data)}`);
+    }
+
+    expectCache(await build('third'), 'miss');
+
+    console.log('✅ Dependency cache passed');
+  }
+});
+
+// Teste 26: Reaproveitamento de previews com os mesmos arquivos e opções
+tests.push({
+  name: 'Build Result Cache',
+  async run() {
+    // Conteúdo único por execução, para não reaproveitar previews de execuções anteriores
+    const marker = Date.now();
+    const build = (options = {}) => postBuild({
+      mode: 'static',
+      files: {
+        'index.html': `<h1>result cache ${marker}</h1>`,
+        'styles.css': 'body { margin: 0; }'
+      },
+      ...options
+    });
+
+    const first = await build();
+    if (first.statusCode !== 200 || first.body.data.fromCache !== false) {
+      throw new Error(`First build should run: ${JSON.stringify(first.body)}`);
+    }
+
+    // Mesmo payload (inclusive no modo assíncrono): o preview existente é devolvido sem build
+    const repeated = await build({ async: true });
+    const { data } = repeated.body;
+    if (repeated.statusCode !== 200 || !data.fromCache || data.projectId !== first.body.data.projectId || data.url !== first.body.data.url) {
+      throw new Error(`Identical build should reuse the preview: ${repeated.statusCode} ${JSON.stringify(repeated.body)}`);
+    }
+
+    // Opções diferentes geram outro preview
+    const spa = await build({ spa: true });
+    if (spa.body.data.fromCache || spa.body.data.projectId === first.body.data.projectId) {
+      throw new Error('Different build options should not reuse the preview');
+    }
+
+    // No modo path o dist não pode ser copiado para outro ID: "unique" executa um novo build
+    const unique = await build({ unique: true });
+    if (unique.body.data.fromCache || unique.body.data.projectId === first.body.data.projectId) {
+      throw new Error(`unique should produce a new preview: ${JSON.stringify(unique.body.data)}`);
+    }
+
+    const forced = await build({ reuse: false });
+    if (forced.body.data.fromCache) {
+      throw new Error('reuse: false should always build');
+    }
+
+    console.log('✅ Build result cache passed');
+  }
+});
+
+tests.push({
+  name: 'Incremental Preview Update',
+  async run() {
+    const packageJson = {
+      name: 'incremental-update',
+      dependencies: { 'local-lib': 'file:./local-lib' },
+      scripts: { build: 'node build.js' }
+    };
+    const created = await postBuild({
+      files: {
+        'package.json': JSON.stringify(packageJson),
+        'local-lib/package.json': JSON.stringify({ name: 'local-lib', version: '1.0.0', main: 'index.js' }),
+        'local-lib/index.js': "module.exports = 'lib';",
+        'src/message.txt': 'first version',
+        'src/extra.txt': 'extra',
+        'build.js': [
+          "const fs = require('fs');",
+          "fs.mkdirSync('dist', { recursive: true });",
+          "const extra = fs.existsSync('src/extra.txt') ? ' +extra' : '';",
+          "fs.writeFileSync('dist/index.html', '<h1>' + require('local-lib') + ' ' + fs.readFileSync('src/message.txt', 'utf8') + extra + '</h1>');"
+        ].join('\n')
+      }
+    });
+    if (created.statusCode !== 200) {
+      throw new Error(`Initial build failed: ${JSON.stringify(created.body)}`);
+    }
+    const { projectId, url } = created.body.data;
+
+    const update = (body) => sendRequest('PATCH', `/previews/${projectId}/files`, body);
+    const page = async () => String((await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: `/preview/${projectId}/dist/index.html`,
+      method: 'GET'
+    })).body);
+
+    // Alterar um arquivo e remover outro: mesmo ID e URL, sem reinstalar dependências
+    const updated = await update({ files: { 'src/message.txt': 'second version' }, deleted: ['src/extra.txt'] });
+    const { data } = updated.body;
+    if (updated.statusCode !== 200 || data.projectId !== projectId || data.url !== url || data.dependenciesReinstalled !== false) {
+      throw new Error(`Unexpected update response: ${updated.statusCode} ${JSON.stringify(updated.body)}`);
+    }
+    if (!(await page()).includes('lib second version</h1>')) {
+      throw new Error(`Preview should serve the updated build: ${await page()}`);
+    }
+
+    // Mudança no package.json reinstala as dependências
+    const reinstalled = await update({ files: { 'package.json': JSON.stringify({ ...packageJson, version: '2.0.0' }) } });
+    if (reinstalled.statusCode !== 200 || reinstalled.body.data.dependenciesReinstalled !== true) {
+      throw new Error(`package.json change should reinstall: ${JSON.stringify(reinstalled.body)}`);
+    }
+
+    // Build com falha mantém a versão publicada
+    const failed = await update({ files: { 'build.js': 'process.exit(1);' } });
+    if (failed.statusCode !== 422) {
+      throw new Error(`Failing update should return 422, got ${failed.statusCode}`);
+    }
+    if (!(await page()).includes('lib second version</h1>')) {
+      throw new Error('Failed update should keep the previous build');
+    }
+
+    const invalid = await update({ deleted: ['node_modules/local-lib'] });
+    if (invalid.statusCode !== 400) {
+      throw new Error(`node_modules paths should be rejected, got ${invalid.statusCode}`);
+    }
+
+    const missing = await sendRequest('PATCH', '/previews/nao-existe/files', { files: { 'a.txt': 'a' } });
+    if (missing.statusCode !== 404) {
+      throw new Error(`Unknown preview should return 404, got ${missing.statusCode}`);
+    }
+
+    // Link deixado pelo build para fora do preview: o PATCH não escreve através dele
+    const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'update-outside-'));
+    try {
+      const linked = await postBuild({
+        files: {
+          'package.json': JSON.stringify({ name: 'update-symlink', scripts: { build: 'node build.js' } }),
+          'build.js': [
+            "const fs = require('fs');",
+            "fs.mkdirSync('dist', { recursive: true });",
+            "fs.writeFileSync('dist/index.html', '<h1>linked</h1>');",
+            `if (!fs.existsSync('linkdir')) fs.symlinkSync(${JSON.stringify(outside)}, 'linkdir');`
+          ].join('\n')
+        }
+      });
+      const linkedUpdate = await sendRequest('PATCH', `/previews/${linked.body.data.projectId}/files`, { files: { 'linkdir/pwned.txt': 'pwned' } });
+      if (linkedUpdate.statusCode !== 200 || (await fs.readdir(outside)).length > 0) {
+        throw new Error(`Update should not write through a symlink: ${linkedUpdate.statusCode} ${JSON.stringify(linkedUpdate.body)}`);
+      }
+    } finally {
+      await fs.rm(outside, { recursive: true, force: true });
+    }
+
+    // Site estático (distDir "."): as variantes .gz/.br anteriores não podem sobreviver ao PATCH
+    const getGzip = (requestPath) => new Promise((resolve, reject) => {
+      http.get({ hostname: TEST_CONFIG.host, port: TEST_CONFIG.port, path: requestPath, headers: { 'Accept-Encoding': 'gzip' } }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks);
+          resolve({
+            statusCode: res.statusCode,
+            encoding: res.headers['content-encoding'],
+            text: (res.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(body) : body).toString()
+          });
+        });
+      }).on('error', reject);
+    });
+
+    const staticBuild = await postBuild({
+      mode: 'static',
+      files: {
+        'index.html': '<!DOCTYPE html><script src="app.js"></script>',
+        'app.js': 'console.log("first version");'.repeat(100),
+        'old.js': 'console.log("removed file");'.repeat(100)
+      }
+    });
+    const staticId = staticBuild.body.data.projectId;
+    const first = await getGzip(`/preview/${staticId}/app.js`);
+    if (first.encoding !== 'gzip' || !first.text.includes('first version')) {
+      throw new Error(`Static preview should serve a gzip variant, got ${first.encoding}`);
+    }
+
+    const staticUpdate = await sendRequest('PATCH', `/previews/${staticId}/files`, {
+      files: { 'app.js': 'console.log("second version");'.repeat(100) },
+      deleted: ['old.js']
+    });
+    if (staticUpdate.statusCode !== 200) {
+      throw new Error(`Static update failed: ${staticUpdate.statusCode} ${JSON.stringify(staticUpdate.body)}`);
+    }
+
+    const second = await getGzip(`/preview/${staticId}/app.js`);
+    if (second.text.includes('first version') || !second.text.includes('second version')) {
+      throw new Error('Gzip variant should be regenerated after the update');
+    }
+    const removed = await getGzip(`/preview/${staticId}/old.js`);
+    if (removed.statusCode !== 404) {
+      throw new Error(`Deleted file should not be served through its gzip variant, got ${removed.statusCode}`);
+    }
+
+    console.log('✅ Incremental preview update passed');
+  }
+});
+
+tests.push({
+  name: 'Preview Aliases',
+  async run() {
+    const name = `feature-${Date.now()}`;
+    const build = async (version) => {
+      const response = await postBuild({
+        mode: 'static',
+        alias: name,
+        files: { 'index.html': `<h1>${name} ${version}</h1>` }
+      });
+      if (response.statusCode !== 200 || response.body.data.alias?.name !== name || response.body.data.alias.error) {
+        throw new Error(`Build should point the alias: ${JSON.stringify(response.body)}`);
+      }
+      return response.body.data.projectId;
+    };
+    const expectContent = async (version) => {
+      const page = await sendRequest('GET', `/p/${name}/`);
+      if (page.statusCode !== 200 || !String(page.body).includes(`${name} ${version}`)) {
+        throw new Error(`Alias should serve ${version}: ${page.statusCode} ${page.body}`);
+      }
+    };
+
+    const first = await build('v1');
+    await expectContent('v1');
+    const second = await build('v2');
+    await expectContent('v2');
+
+    const redirect = await sendRequest('GET', `/p/${name}`);
+    if (redirect.statusCode !== 302 || redirect.headers.location !== `/p/${name}/`) {
+      throw new Error(`Alias without trailing slash should redirect, got ${redirect.statusCode} ${redirect.headers.location}`);
+    }
+
+    const details = await sendRequest('GET', `/aliases/${name}`);
+    const { history } = details.body.data;
+    if (details.body.data.previewId !== second || history.length !== 2 || history[1].previewId !== first || !history[1].retained) {
+      throw new Error(`Unexpected alias history: ${JSON.stringify(details.body.data)}`);
+    }
+
+    const rollback = await sendRequest('POST', `/aliases/${name}/rollback`, {});
+    if (rollback.statusCode !== 200 || rollback.body.data.previewId !== first || rollback.body.data.history[0].action !== 'rollback') {
+      throw new Error(`Rollback should point to the previous preview: ${JSON.stringify(rollback.body)}`);
+    }
+    await expectContent('v1');
+
+    const repoint = await sendRequest('PUT', `/aliases/${name}`, { previewId: second });
+    if (repoint.statusCode !== 200 || repoint.body.data.previewId !== second) {
+      throw new Error(`Repoint failed: ${JSON.stringify(repoint.body)}`);
+    }
+    await expectContent('v2');
+
+    // O destino atual não pode ser removido enquanto o alias apontar para ele
+    const deleteTarget = await sendRequest('DELETE', `/previews/${second}`);
+    if (deleteTarget.statusCode !== 409) {
+      throw new Error(`Deleting an alias target should return 409, got ${deleteTarget.statusCode}`);
+    }
+
+    const invalid = await sendRequest('PUT', '/aliases/Nome_Invalido', { previewId: second });
+    if (invalid.statusCode !== 400) {
+      throw new Error(`Invalid alias name should return 400, got ${invalid.statusCode}`);
+    }
+
+    const removed = await sendRequest('DELETE', `/aliases/${name}`);
+    if (removed.statusCode !== 200 || (await sendRequest('GET', `/p/${name}/`)).statusCode !== 404) {
+      throw new Error('Deleted alias should stop serving');
+    }
+
+    console.log('✅ Preview aliases passed');
+  }
+});
+
+// Teste 29: Sandbox dos comandos de build (ambiente mínimo e acesso fora do projeto)
+tests.push({
+  name: 'Build Sandbox',
+  async run() {
+    // O build publica as variáveis de ambiente que recebeu e deixa um .npmrc no HOME
+    const envScript = [
+      "const fs = require('fs');",
+      "const npmrc = require('path').join(process.env.HOME, '.npmrc');",
+      "fs.mkdirSync('dist', { recursive: true });",
+      "fs.writeFileSync('dist/env.json', JSON.stringify({ keys: Object.keys(process.env), home: process.env.HOME, npmrc: fs.existsSync(npmrc) }));",
+      "fs.writeFileSync(npmrc, 'registry=http://127.0.0.1:9/');"
+    ].join('\n');
+
+    const buildEnv = async (name) => {
+      const built = await postBuild({
+        files: {
+          'package.json': JSON.stringify({ name, scripts: { build: 'node env.js' } }),
+          'env.js': envScript
+        }
+      });
+      if (built.statusCode !== 200) {
+        throw new Error(`Build should succeed: ${JSON.stringify(built.body)}`);
+      }
+
+      const published = await sendRequest('GET', `/preview/${built.body.data.projectId}/dist/env.json`);
+      return typeof published.body === 'string' ? JSON.parse(published.body) : published.body;
+    };
+
+    const { keys, home } = await buildEnv('sandbox-env');
+    const leaked = keys.filter(key => ['PREVIEWS_DIR', 'LOGS_DIR', 'METADATA_FILE', 'API_KEYS', 'WEBHOOK_SECRET', 'SHARE_LINK_SECRET'].includes(key));
+    if (leaked.length > 0 || !keys.includes('CI')) {
+      throw new Error(`Build should only see the allowlisted environment, got ${keys.join(', ')}`);
+    }
+
+    // Cada comando ganha um HOME novo: o .npmrc do build anterior não existe mais
+    const next = await buildEnv('sandbox-env-next');
+    if (next.home === home || next.npmrc) {
+      throw new Error(`Expected a fresh HOME per build, got ${next.home} (previous ${home}, .npmrc ${next.npmrc})`);
+    }
+
+    // Leitura fora do projeto: falha com tipo próprio
+    const denied = await postBuild({
+      files: {
+        'package.json': JSON.stringify({ name: 'sandbox-violation', scripts: { build: 'node read.js' } }),
+        'read.js': "require('fs').readFileSync('/etc/shadow');"
+      }
+    });
+
+    const { error } = denied.body;
+    if (denied.statusCode !== 422 || error.type !== 'SANDBOX_VIOLATION' || error.category !== 'sandbox_violation') {
+      throw new Error(`Expected 422 SANDBOX_VIOLATION, got ${denied.statusCode} ${JSON.stringify(error)}`);
+    }
+    if (error.violation?.type !== 'filesystem' || error.violation.path !== '/etc/shadow') {
+      throw new Error(`Unexpected violation: ${JSON.stringify(error.violation)}`);
+    }
+
+    // Link simbólico para fora do projeto na saída: seria servido e pré-comprimido pelo servidor
+    const linked = await postBuild({
+      files: {
+        'package.json': JSON.stringify({ name: 'sandbox-symlink', scripts: { build: 'node link.js' } }),
+        'link.js': [
+          "const fs = require('fs');",
+          "fs.mkdirSync('dist', { recursive: true });",
+          "fs.writeFileSync('dist/index.html', '<!DOCTYPE html>' + 'x'.repeat(4096));",
+          "fs.symlinkSync('/etc/passwd', 'dist/leak');"
+        ].join('\n')
+      }
+    });
+    if (linked.statusCode !== 422 || linked.body.error?.type !== 'SANDBOX_VIOLATION' || linked.body.error.violation?.path !== 'dist/leak') {
+      throw new Error(`Expected symlinked output to be rejected, got ${linked.statusCode} ${JSON.stringify(linked.body.error)}`);
+    }
+
+    console.log('✅ Build sandbox passed');
+  }
+});
+
+// Teste 30: Base path aplicado por uma config gerada (SvelteKit e Next.js), sem alterar a do usuário
+tests.push({
+  name: 'Framework Base Path',
+  async run() {
+    // Next.js: o next.config.mjs gerado envolve a config CommonJS do usuário e é removido depois
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'next-config-test-'));
+    try {
+      await fs.writeFile(path.join(dir, 'next.config.js'), 'module.exports = { reactStrictMode: true, basePath: "/app" };');
+      const restore = await getAdapter('next').prepareBuild(await loadProject(dir), { basePath: '/preview/abc/out/' });
+
+      const wrapper = await import(`${path.join(dir, 'next.config.mjs')}?t=${Date.now()}`);
+      const nextConfig = await wrapper.default('phase-export', {});
+      if (nextConfig.basePath !== '/preview/abc/out' || nextConfig.assetPrefix !== '/preview/abc/out' ||
+          nextConfig.output !== 'export' || nextConfig.reactStrictMode !== true) {
+        throw new Error(`Unexpected wrapped next.config: ${JSON.stringify(nextConfig)}`);
+      }
+
+      await restore();
+      const files = (await fs.readdir(dir)).sort();
+      if (files.join(',') !== 'next.config.js') {
+        throw new Error(`User config not restored: ${files.join(', ')}`);
+      }
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    // SvelteKit: build real, com os assets do HTML sob o caminho do preview
+    const response = await postBuild({
+      async: true,
+      files: {
+        'package.json': JSON.stringify({
+          name: 'sveltekit-base',
+          type: 'module',
+          scripts: { build: 'vite build' },
+          devDependencies: {
+            '@sveltejs/adapter-static': '^3.0.0',
+            '@sveltejs/kit': '^2.0.0',
+            '@sveltejs/vite-plugin-svelte': '^3.0.0',
+            svelte: '^4.2.0',
+            vite: '^5.0.0'
+          }
+        }),
+        'svelte.config.js': "import adapter from '@sveltejs/adapter-static';\n\nexport default { kit: { adapter: adapter(), paths: { relative: false } } };\n",
+        'vite.config.js': "import { sveltekit } from '@sveltejs/kit/vite';\n\nexport default { plugins: [sveltekit()] };\n",
+        'src/app.html': '<!DOCTYPE html>\n<html>\n<head>%sveltekit.head%</head>\n<body><div>%sveltekit.body%</div></body>\n</html>\n',
+        'src/routes/+layout.js': 'export const prerender = true;\n',
+        'src/routes/+page.svelte': '<h1>Base path</h1>\n'
+      }
+    });
+    if (response.statusCode !== 202) {
+      throw new Error(`Expected status 202, got ${response.statusCode}`);
+    }
+
+    let job;
+    for (let i = 0; i < 300; i++) {
+      job = (await sendRequest('GET', response.body.data.statusUrl)).body.data;
+      if (['succeeded', 'failed'].includes(job.status)) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    if (job.status !== 'succeeded') {
+      throw new Error(`SvelteKit build did not succeed: ${JSON.stringify(job.error || job.status)}`);
+    }
+
+    const previewPath = new URL(job.result.url).pathname;
+    const page = await sendRequest('GET', previewPath);
+    if (page.statusCode !== 200 || !page.body.includes(`href="${previewPath}_app/immutable/`)) {
+      throw new Error(`Expected asset URLs under ${previewPath}, got: ${String(page.body).slice(0, 300)}`);
+    }
+
+    console.log('✅ Framework base path passed');
+    console.log(`   Preview: ${previewPath}`);
+  }
+});
+
+// Executar testes
+async function runTests() {
+  console.log('🧪 Iniciando testes do servidor...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      console.log(`🔄 Executando: ${test.name}`);
+      await test.run();
+      passed++;
+    } catch (error) {
+      console.error(`❌ Falhou: ${test.name}`);
+      console.error(`   Erro: ${error.message}`);
+      failed++;
+    }
+    console.log('');
+  }
+
+  console.log('📊 Resultados dos testes:');
+  console.log(`   ✅ Passou: ${passed}`);
+  console.log(`   ❌ Falhou: ${failed}`);
+  console.log(`   📈 Total: ${passed + failed}`);
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  } else {
+    console.log('\n🎉 Todos os testes passaram!');
+  }
+}
+
+// Verificar se o servidor está rodando
+async function checkServer() {
+  try {
+    await makeRequest({
+      hostname: TEST_CONFIG.host,
+      port: TEST_CONFIG.port,
+      path: '/',
+      method: 'GET'
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Servidor próprio dos testes, quando nenhum está rodando: diretórios temporários (acessíveis ao usuário do
+// sandbox) e o receptor de webhooks em 127.0.0.1 liberado em WEBHOOK_ALLOWED_ADDRESSES
+async function startTestServer() {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'preview-server-test-'));
+  await fs.chmod(dataDir, 0o711);
+  const logFile = await fs.open(path.join(dataDir, 'server.log'), 'w');
+
+  const child = spawn(process.execPath, [path.join(__dirname, '../src/server.js')], {
+    env: {
+      PREVIEWS_DIR: path.join(dataDir, 'previews'),
+      LOGS_DIR: path.join(dataDir, 'logs'),
+      METADATA_FILE: path.join(dataDir, 'data', 'previews.jsonl'),
+      DEPENDENCY_CACHE_DIR: path.join(dataDir, 'cache', 'dependencies'),
+      SANDBOX_HOME_DIR: path.join(dataDir, 'cache', 'sandbox-home'),
+      WEBHOOK_ALLOWED_ADDRESSES: '127.0.0.1',
+      ...process.env,
+      PORT: String(TEST_CONFIG.port)
+    },
+    stdio: ['ignore', logFile.fd, logFile.fd]
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async () => {
+    child.kill('SIGTERM');
+    const timer = setTimeout(() => child.kill('SIGKILL'), 10000);
+    await exited;
+    clearTimeout(timer);
+    await logFile.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  };
+
+  for (let i = 0; i < 120; i++) {
+    if (child.exitCode !== null || await checkServer()) {
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  if (child.exitCode !== null || !(await checkServer())) {
+    const log = await fs.readFile(path.join(dataDir, 'server.log'), 'utf8');
+    await stop();
+    throw new Error(`Servidor de testes não iniciou:\n${log.slice(-2000)}`);
+  }
+
+  return stop;
+}
+
+// Executar
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log('🔍 Verificando se o servidor está rodando...');
+
+  let stopServer = null;
+  if (await checkServer()) {
+    console.log('✅ Servidor está rodando (o teste de webhooks exige WEBHOOK_ALLOWED_ADDRESSES=127.0.0.1)\n');
+  } else {
+    console.log('🚀 Nenhum servidor na porta de testes: iniciando um servidor temporário...');
+    stopServer = await startTestServer();
+    console.log('✅ Servidor de testes iniciado\n');
+  }
+
+  try {
+    await runTests();
+  } finally {
+    await stopServer?.();
+  }
+}